@@ -0,0 +1,72 @@
+import {Component, createContext, createElement, useContext} from 'react';
+
+const ApiErrorBoundaryContext = createContext(null);
+
+/**
+ * Checks whether any of the reset keys changed between two renders.
+ * @param {Array} previousKeys - The reset keys of the previous render.
+ * @param {Array} nextKeys - The reset keys of the current render.
+ * @returns {boolean} Whether the keys changed.
+ */
+const haveResetKeysChanged = (previousKeys = [], nextKeys = []) =>
+  previousKeys.length !== nextKeys.length || previousKeys.some((key, index) => !Object.is(key, nextKeys[index]));
+
+/**
+ * Catches errors thrown by hooks with `throwOnError` or `suspense` and renders a fallback until it is reset.
+ * Props:
+ * - `fallback`: an element, or a function `({error, reset}) => element`.
+ * - `onError(error, info)`: called when an error is caught.
+ * - `onReset()`: called when the boundary is reset, e.g. to clear state the children depend on.
+ * - `resetKeys`: values that reset the boundary when one of them changes.
+ */
+export class ApiErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = {error: null};
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return {error};
+  }
+
+  componentDidCatch(error, info) {
+    this.props.onError?.(error, info);
+  }
+
+  componentDidUpdate(previousProps) {
+    if (this.state.error && haveResetKeysChanged(previousProps.resetKeys, this.props.resetKeys)) {
+      this.reset();
+    }
+  }
+
+  /**
+   * Clears the error so the children render, and retry their requests, again.
+   */
+  reset() {
+    if (!this.state.error) return;
+    this.props.onReset?.();
+    this.setState({error: null});
+  }
+
+  render() {
+    const {error} = this.state;
+    if (!error) return this.props.children ?? null;
+
+    const {fallback = null} = this.props;
+    const value = {error, reset: this.reset};
+    return createElement(ApiErrorBoundaryContext.Provider, {value}, typeof fallback === 'function' ? fallback(value) : fallback);
+  }
+}
+
+/**
+ * Gives a fallback rendered by `ApiErrorBoundary` access to the caught error and the reset function.
+ * @returns {{error: Error, reset: Function}} The caught error and the reset function.
+ */
+export const useApiErrorBoundary = () => {
+  const value = useContext(ApiErrorBoundaryContext);
+  if (!value) {
+    throw new Error('useApiErrorBoundary must be used inside the fallback of an `ApiErrorBoundary`.');
+  }
+  return value;
+};
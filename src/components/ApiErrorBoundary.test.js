@@ -0,0 +1,109 @@
+/**
+ * @file Tests for ApiErrorBoundary component
+ * @author Alan Chen
+ */
+
+import React from 'react';
+import {renderHook, act} from '@testing-library/react-native';
+import {ApiErrorBoundary, useApiErrorBoundary} from './ApiErrorBoundary';
+
+describe('ApiErrorBoundary', () => {
+  const failure = new Error('Request failed');
+  let shouldThrow;
+
+  // Throws while `shouldThrow` is set, like a hook with `throwOnError`
+  const useFailingHook = () => {
+    if (shouldThrow) throw failure;
+    return 'rendered';
+  };
+
+  beforeEach(() => {
+    shouldThrow = true;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should render the fallback function with the error and call onError', () => {
+    const fallback = jest.fn(() => null);
+    const onError = jest.fn();
+    const wrapper = ({children}) => (
+      <ApiErrorBoundary fallback={fallback} onError={onError}>
+        {children}
+      </ApiErrorBoundary>
+    );
+
+    const {result} = renderHook(useFailingHook, {wrapper});
+
+    expect(result.current).toBeNull();
+    expect(fallback).toHaveBeenCalledWith({error: failure, reset: expect.any(Function)});
+    expect(onError).toHaveBeenCalledWith(failure, expect.objectContaining({componentStack: expect.any(String)}));
+  });
+
+  it('should render the children again after a reset', () => {
+    const onReset = jest.fn();
+    let reset;
+    const fallback = jest.fn(value => {
+      reset = value.reset;
+      return null;
+    });
+    const wrapper = ({children}) => (
+      <ApiErrorBoundary fallback={fallback} onReset={onReset}>
+        {children}
+      </ApiErrorBoundary>
+    );
+    const {result} = renderHook(useFailingHook, {wrapper});
+
+    shouldThrow = false;
+    act(() => {
+      reset();
+    });
+
+    expect(onReset).toHaveBeenCalledTimes(1);
+    expect(result.current).toBe('rendered');
+  });
+
+  it('should reset when one of the reset keys changes', () => {
+    let resetKey = 1;
+    const wrapper = ({children}) => (
+      <ApiErrorBoundary fallback={null} resetKeys={[resetKey]}>
+        {children}
+      </ApiErrorBoundary>
+    );
+    const {result, rerender} = renderHook(useFailingHook, {wrapper});
+    expect(result.current).toBeNull();
+
+    shouldThrow = false;
+    resetKey = 2;
+    rerender();
+
+    expect(result.current).toBe('rendered');
+  });
+
+  it('should give the fallback access to the boundary through useApiErrorBoundary', () => {
+    let boundary;
+    const Fallback = () => {
+      boundary = useApiErrorBoundary();
+      return null;
+    };
+    const wrapper = ({children}) => <ApiErrorBoundary fallback={<Fallback />}>{children}</ApiErrorBoundary>;
+    const {result} = renderHook(useFailingHook, {wrapper});
+
+    expect(boundary.error).toBe(failure);
+
+    shouldThrow = false;
+    act(() => {
+      boundary.reset();
+    });
+
+    expect(result.current).toBe('rendered');
+  });
+
+  it('should throw when useApiErrorBoundary is used outside a boundary fallback', () => {
+    expect(() => {
+      renderHook(() => useApiErrorBoundary());
+    }).toThrow('useApiErrorBoundary must be used inside the fallback of an `ApiErrorBoundary`.');
+  });
+});
@@ -0,0 +1,23 @@
+import {createContext, createElement, useContext} from 'react';
+import {manager as defaultManager} from '../services/ApiManager';
+
+const ApiManagerContext = createContext(defaultManager);
+
+/**
+ * Provides an ApiManager to the hooks below it, so they resolve clients from it and share its query cache
+ * instead of the singleton `apiManager`. Useful for isolated environments and for tests.
+ * Props:
+ * - `manager`: an instance created with `createApiManager`.
+ */
+export const ApiManagerProvider = ({manager, children}) => {
+  if (!manager) {
+    throw new Error('ApiManagerProvider requires a `manager` created with `createApiManager`.');
+  }
+  return createElement(ApiManagerContext.Provider, {value: manager}, children);
+};
+
+/**
+ * Gets the ApiManager of the nearest `ApiManagerProvider`, or the singleton `apiManager` without one.
+ * @returns {object} The ApiManager instance.
+ */
+export const useApiManager = () => useContext(ApiManagerContext);
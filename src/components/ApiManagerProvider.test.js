@@ -0,0 +1,74 @@
+/**
+ * @file Tests for ApiManagerProvider component and useApiManager hook
+ * @author Alan Chen
+ */
+
+import React from 'react';
+import {renderHook, act} from '@testing-library/react-native';
+import {ApiManagerProvider, useApiManager} from './ApiManagerProvider';
+import {manager, createApiManager} from '../services/ApiManager';
+import {useMutation} from '../hooks/useMutation';
+
+describe('ApiManagerProvider', () => {
+  it('should fall back to the singleton manager without a provider', () => {
+    const {result} = renderHook(() => useApiManager());
+
+    expect(result.current).toBe(manager);
+  });
+
+  it('should provide its manager to the hooks below it', () => {
+    const scopedManager = createApiManager();
+    const wrapper = ({children}) => <ApiManagerProvider manager={scopedManager}>{children}</ApiManagerProvider>;
+
+    const {result} = renderHook(() => useApiManager(), {wrapper});
+
+    expect(result.current).toBe(scopedManager);
+  });
+
+  it('should use the nearest provider', () => {
+    const outerManager = createApiManager();
+    const innerManager = createApiManager();
+    const wrapper = ({children}) => (
+      <ApiManagerProvider manager={outerManager}>
+        <ApiManagerProvider manager={innerManager}>{children}</ApiManagerProvider>
+      </ApiManagerProvider>
+    );
+
+    const {result} = renderHook(() => useApiManager(), {wrapper});
+
+    expect(result.current).toBe(innerManager);
+  });
+
+  it('should throw when no manager is provided', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const wrapper = ({children}) => <ApiManagerProvider>{children}</ApiManagerProvider>;
+
+    expect(() => {
+      renderHook(() => useApiManager(), {wrapper});
+    }).toThrow('ApiManagerProvider requires a `manager` created with `createApiManager`.');
+    console.error.mockRestore();
+  });
+
+  it('should keep the clients and the cache of two providers isolated', async () => {
+    const firstManager = createApiManager();
+    const secondManager = createApiManager();
+    const firstClient = firstManager.register('main', {baseUrl: 'https://first.test'}, true);
+    const secondClient = secondManager.register('main', {baseUrl: 'https://second.test'}, true);
+    jest.spyOn(firstClient, 'request').mockResolvedValue({id: 1});
+    jest.spyOn(secondClient, 'request').mockResolvedValue({id: 2});
+    firstManager.cache.set(['main', 'GET', 'posts', null], ['cached']);
+    secondManager.cache.set(['main', 'GET', 'posts', null], ['cached']);
+    const wrapper = ({children}) => <ApiManagerProvider manager={firstManager}>{children}</ApiManagerProvider>;
+
+    const {result} = renderHook(() => useMutation({uri: 'posts', invalidates: ['posts']}), {wrapper});
+    await act(async () => {
+      await result.current.mutateAsync({title: 'Hello'});
+    });
+
+    expect(firstClient.request).toHaveBeenCalledTimes(1);
+    expect(secondClient.request).not.toHaveBeenCalled();
+    expect(firstManager.cache.get(['main', 'GET', 'posts', null]).isInvalidated).toBe(true);
+    expect(secondManager.cache.get(['main', 'GET', 'posts', null]).isInvalidated).toBe(false);
+    expect(manager.isRegistered('main')).toBe(false);
+  });
+});
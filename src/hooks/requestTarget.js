@@ -0,0 +1,27 @@
+import {parseUriAndMethod} from '../libraries/ApiClient';
+
+/**
+ * HTTP methods whose params are sent in the query string instead of the body.
+ */
+const QUERY_STRING_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+/**
+ * Resolves the HTTP method and endpoint for a hook's requests.
+ * A method prefix in the uri (e.g. `get:users`) takes precedence over the `method` option.
+ * @param {object} settings - The hook settings.
+ * @returns {{method: string, endpoint: string}} The resolved method and endpoint.
+ */
+export const resolveRequestTarget = settings => parseUriAndMethod(settings.uri, settings.method);
+
+/**
+ * Builds the arguments for `apiClient.request` from a hook's settings.
+ * GET, HEAD and DELETE send params in the query string, every other method in the body.
+ * @param {object} settings - The hook settings.
+ * @param {object} requestParams - The filtered request params.
+ * @returns {{uri: string, payload: object}} The method-prefixed uri and the `params` or `body` option.
+ */
+export const buildRequestArguments = (settings, requestParams) => {
+  const {method, endpoint} = resolveRequestTarget(settings);
+  const payload = QUERY_STRING_METHODS.includes(method) ? {params: requestParams} : {body: requestParams};
+  return {uri: `${method.toLowerCase()}:${endpoint}`, payload};
+};
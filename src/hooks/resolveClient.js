@@ -0,0 +1,58 @@
+import {useState, useRef, useEffect} from 'react';
+
+/**
+ * Resolves the ApiClient a hook sends its requests with.
+ * `client` is the name of a registered client or an ApiClient instance. `apiManager` is the older
+ * option for an instance and is still accepted. Without either, the default client is used.
+ * @param {{client?: string|object, apiManager?: object}} options - The hook options.
+ * @param {string} hookName - The name of the hook, for error messages.
+ * @param {object} manager - The ApiManager to resolve client names with, see `useApiManager`.
+ * @returns {object} The ApiClient instance.
+ */
+export const resolveClient = ({client, apiManager}, hookName, manager) => {
+  if (client && typeof client === 'object') return client;
+
+  if (typeof client === 'string') {
+    if (!manager.isRegistered(client)) {
+      const registeredNames = manager.getRegisteredClientNames();
+      throw new Error(
+        `${hookName} was given \`client: '${client}'\`, but no API client with that name has been registered. ` +
+          `Registered clients: ${registeredNames.length ? registeredNames.map(name => `'${name}'`).join(', ') : 'none'}.`,
+      );
+    }
+    return manager.use(client);
+  }
+
+  if (apiManager) return apiManager;
+
+  if (!manager.getDefaultClientName()) {
+    throw new Error(`${hookName} has no API client: pass the name of a registered client as \`client\`, or register a default client.`);
+  }
+  return manager.use();
+};
+
+/**
+ * Resolves a hook's ApiClient on every render, see `resolveClient`, and re-renders the hook when a client
+ * is registered, replaced or unregistered, so the hook always sends with the current instance.
+ * A client that is unregistered while the hook is mounted, e.g. a tenant's client on logout, resolves
+ * to `null` instead of throwing during render. A client that can't be resolved on mount still throws.
+ * @param {{client?: string|object, apiManager?: object}} options - The hook options.
+ * @param {string} hookName - The name of the hook, for error messages.
+ * @param {object} manager - The ApiManager to resolve client names with, see `useApiManager`.
+ * @returns {object|null} The ApiClient instance, or `null` if the client was unregistered.
+ */
+export const useResolvedClient = (options, hookName, manager) => {
+  const [, setClientRevision] = useState(0);
+  const hasResolved = useRef(false);
+
+  useEffect(() => manager.on('clientChange', () => setClientRevision(revision => revision + 1)), [manager]);
+
+  try {
+    const apiClient = resolveClient(options, hookName, manager);
+    hasResolved.current = true;
+    return apiClient;
+  } catch (error) {
+    if (!hasResolved.current) throw error;
+    return null;
+  }
+};
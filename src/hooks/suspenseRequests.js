@@ -0,0 +1,67 @@
+import {stableStringify} from '../libraries/QueryCache';
+
+// Requests started by suspending hooks per ApiManager, shared so that the render React retries finds the result.
+const suspenseRequests = new WeakMap();
+
+// Time in milliseconds a settled request is kept for the retried render, in case the component unmounted while suspended.
+export const SETTLED_REQUEST_TTL = 5000;
+
+/**
+ * Gets the requests started for the clients of a manager.
+ * @param {object} manager - The ApiManager.
+ * @returns {Map} The requests by query key hash.
+ */
+const getManagerRequests = manager => {
+  if (!suspenseRequests.has(manager)) suspenseRequests.set(manager, new Map());
+  return suspenseRequests.get(manager);
+};
+
+/**
+ * Reads the request a suspending hook waits for, starting it if there is none for the key yet.
+ * @param {object} manager - The ApiManager the hook uses.
+ * @param {Array} queryKey - The query key of the request.
+ * @param {Function} startRequest - Starts the request, `() => Promise`.
+ * @returns {{status: 'pending'|'success'|'error', promise: Promise, response: any, error: Error|null}} The shared request.
+ */
+export const readSuspenseRequest = (manager, queryKey, startRequest) => {
+  const requests = getManagerRequests(manager);
+  const hash = stableStringify(queryKey);
+  const existingRequest = requests.get(hash);
+  if (existingRequest) return existingRequest;
+
+  const request = {status: 'pending', response: undefined, error: null};
+  // Nothing releases the request if no render takes its result, so it is dropped after a while to let the next mount fetch again.
+  const expireLater = () => {
+    setTimeout(() => {
+      if (requests.get(hash) === request) requests.delete(hash);
+    }, SETTLED_REQUEST_TTL);
+  };
+  request.promise = Promise.resolve()
+    .then(startRequest)
+    .then(
+      response => {
+        request.status = 'success';
+        request.response = response;
+        expireLater();
+      },
+      error => {
+        request.status = 'error';
+        request.error = error;
+        expireLater();
+      },
+    );
+  requests.set(hash, request);
+  return request;
+};
+
+/**
+ * Forgets a settled request once a hook has taken its result, so the next mount fetches again.
+ * @param {object} manager - The ApiManager the hook uses.
+ * @param {Array} queryKey - The query key of the request.
+ * @param {object} request - The request that was read.
+ */
+export const releaseSuspenseRequest = (manager, queryKey, request) => {
+  const requests = getManagerRequests(manager);
+  const hash = stableStringify(queryKey);
+  if (requests.get(hash) === request) requests.delete(hash);
+};
@@ -1,4 +1,203 @@
 import {useState, useRef, useEffect, useCallback, useMemo} from 'react';
+import {ApiError} from '../libraries/ApiClient';
+import {resolveRequestTarget, buildRequestArguments} from './requestTarget';
+import {resolveClient, useResolvedClient} from './resolveClient';
+import {readSuspenseRequest, releaseSuspenseRequest} from './suspenseRequests';
+import {useApiManager} from '../components/ApiManagerProvider';
+
+/**
+ * Builds the query cache key for a request made by the hook.
+ * @param {object} manager - The ApiManager the hook uses.
+ * @param {object} apiClient - The ApiClient instance, resolved to its registered name.
+ * @param {object} settings - The hook settings.
+ * @param {object} requestParams - The filtered request params.
+ * @returns {Array} The query key.
+ */
+const buildCacheKey = (manager, apiClient, settings, requestParams) => {
+  const {method, endpoint} = resolveRequestTarget(settings);
+  return manager.cache.buildKey({client: manager.getClientName(apiClient), method, uri: endpoint, params: requestParams});
+};
+
+const IDLE_LOADING_STATES = {
+  isInitialLoading: false,
+  isRefreshing: false,
+  isLoadingMore: false,
+  isLoadingPrevious: false,
+  isRefetchingPage: false,
+};
+
+const PAGINATION_DEFAULTS = {
+  strategy: 'page',
+  pageSize: null,
+  pageParam: 'page',
+  offsetParam: 'offset',
+  cursorParam: 'cursor',
+  limitParam: 'limit',
+  initialPageParams: {},
+  maxPages: null,
+  refreshAllPages: false,
+  getResults: apiResponse => apiResponse,
+  getMetadata: () => ({}),
+  merge: (oldResults, newResults) => [...(oldResults || []), ...newResults],
+  getNextPageParams: null,
+  getPreviousPageParams: null,
+};
+
+/**
+ * Fills in the defaults of a `pagination` config.
+ * @param {object|null} pagination - The pagination config from the options.
+ * @returns {object|null} The resolved config, or `null` when pagination is disabled.
+ */
+const resolvePagination = pagination => (pagination ? {...PAGINATION_DEFAULTS, ...pagination} : null);
+
+/**
+ * Builds the params of the first page: the initial page params plus the page size.
+ * @param {object} pagination - The resolved pagination config.
+ * @returns {object} The page params.
+ */
+const getFirstPageParams = pagination => ({
+  ...pagination.initialPageParams,
+  ...(pagination.pageSize ? {[pagination.limitParam]: pagination.pageSize} : {}),
+});
+
+/**
+ * Works out the params of the page after the last loaded page.
+ * @param {object} pagination - The resolved pagination config.
+ * @param {{params: object, data: any}|undefined} lastPage - The last loaded page.
+ * @param {object} [currentMetadata] - The metadata in the response state, used when it has no pages, e.g. after `setResponse`.
+ * @returns {object|null} The page params, or `null` if there is no next page.
+ */
+const getNextPageParams = (pagination, lastPage, currentMetadata) => {
+  const {strategy, pageSize, limitParam} = pagination;
+  if (!lastPage) {
+    return strategy === 'page' && currentMetadata?.hasMore ? {[pagination.pageParam]: (currentMetadata.page || 0) + 1} : null;
+  }
+  if (pagination.getNextPageParams) return pagination.getNextPageParams(lastPage.data, lastPage.params) ?? null;
+
+  const metadata = pagination.getMetadata(lastPage.data) || {};
+  const sizeParams = pageSize ? {[limitParam]: pageSize} : {};
+  if (strategy === 'cursor') {
+    return metadata.nextCursor != null && metadata.hasMore !== false ? {[pagination.cursorParam]: metadata.nextCursor, ...sizeParams} : null;
+  }
+
+  const results = pagination.getResults(lastPage.data) || [];
+  const hasMore = metadata.hasMore ?? (pageSize ? results.length >= pageSize : false);
+  if (!hasMore) return null;
+  if (strategy === 'offset') {
+    return {[pagination.offsetParam]: (Number(lastPage.params[pagination.offsetParam]) || 0) + results.length, ...sizeParams};
+  }
+  return {[pagination.pageParam]: (metadata.page ?? (Number(lastPage.params[pagination.pageParam]) || 1)) + 1, ...sizeParams};
+};
+
+/**
+ * Works out the params of the page before the first loaded page.
+ * @param {object} pagination - The resolved pagination config.
+ * @param {{params: object, data: any}|undefined} firstPage - The first loaded page.
+ * @returns {object|null} The page params, or `null` if there is no previous page.
+ */
+const getPreviousPageParams = (pagination, firstPage) => {
+  if (!firstPage) return null;
+  if (pagination.getPreviousPageParams) return pagination.getPreviousPageParams(firstPage.data, firstPage.params) ?? null;
+
+  const {strategy, pageSize, limitParam} = pagination;
+  const metadata = pagination.getMetadata(firstPage.data) || {};
+  const sizeParams = pageSize ? {[limitParam]: pageSize} : {};
+  if (strategy === 'cursor') {
+    return metadata.previousCursor != null ? {[pagination.cursorParam]: metadata.previousCursor, ...sizeParams} : null;
+  }
+  if (strategy === 'offset') {
+    const offset = Number(firstPage.params[pagination.offsetParam]) || 0;
+    if (offset <= 0) return null;
+    const size = pageSize || (pagination.getResults(firstPage.data) || []).length;
+    return {[pagination.offsetParam]: Math.max(0, offset - size), ...sizeParams};
+  }
+  const page = metadata.page ?? (Number(firstPage.params[pagination.pageParam]) || 1);
+  return page > 1 ? {[pagination.pageParam]: page - 1, ...sizeParams} : null;
+};
+
+/**
+ * Builds the pagination response state from the loaded pages.
+ * The results are merged from the pages in order, and the metadata describes the last page.
+ * @param {object} pagination - The resolved pagination config.
+ * @param {Array<{params: object, pageParams: object, data: any}>} pages - The loaded pages.
+ * @returns {{results: Array, metadata: object, pages: Array}} The response state.
+ */
+const buildPagedState = (pagination, pages) => {
+  const results = pages.reduce(
+    (merged, page, index) =>
+      pagination.merge(index ? merged : undefined, pagination.getResults(page.data), page.params[pagination.pageParam], index ? 'next' : 'replace'),
+    undefined,
+  );
+  return {results: results || [], metadata: pages.length ? pagination.getMetadata(pages[pages.length - 1].data) : undefined, pages};
+};
+
+/**
+ * Drops pages from the far end of the list once it holds more than `maxPages` pages.
+ * @param {Array} pages - The loaded pages.
+ * @param {number|null} maxPages - The maximum number of pages to keep.
+ * @param {'next'|'previous'} direction - The end a page was just added to.
+ * @returns {Array} The pages to keep.
+ */
+const limitPages = (pages, maxPages, direction) => {
+  if (!maxPages || pages.length <= maxPages) return pages;
+  return direction === 'previous' ? pages.slice(0, maxPages) : pages.slice(pages.length - maxPages);
+};
+
+/**
+ * Converts a raw API response into the value stored as the hook's `response`.
+ * @param {object} settings - The hook settings.
+ * @param {any} apiResponse - The raw API response.
+ * @param {object} [requestParams={}] - The params the response was requested with (pagination mode).
+ * @returns {any} The response state. In pagination mode, the response is stored as the only page.
+ */
+const buildResponseState = (settings, apiResponse, requestParams = {}) => {
+  if (!settings.pagination) return settings.filterResponse(apiResponse);
+  return buildPagedState(settings.pagination, [{params: requestParams, pageParams: getFirstPageParams(settings.pagination), data: apiResponse}]);
+};
+
+/**
+ * Builds the result a call resolves with.
+ * @param {string} status - The outcome: 'success', 'error', 'ignored', 'cancelled', 'aborted' or 'skipped'.
+ * @param {any} [data=null] - The filtered response, on success.
+ * @param {Error} [error=null] - The request error, on failure.
+ * @returns {{status: string, data: any, error: Error|null}} The call result.
+ */
+const callResult = (status, data = null, error = null) => ({status, data, error});
+
+/**
+ * Converts a call result for `sendResult: 'data'`.
+ * @param {object} result - The call result.
+ * @returns {any} The filtered response, or `null` if the call was dropped.
+ * @throws {Error} The request error if the call failed.
+ */
+const toSendData = result => {
+  if (result.status === 'error') throw result.error;
+  return result.data;
+};
+
+/**
+ * Creates the handle of a single `send` call, which can be cancelled on its own.
+ * @param {Array} args - The `send` arguments, to send the call again after a restart.
+ * @returns {object} The call handle.
+ */
+const createCall = args => {
+  const call = {controller: new AbortController(), isCancelled: false, rollback: () => {}, promise: null, args};
+  // Cancelling rolls back right away, so the next call starts from the state before the cancelled one.
+  call.cancel = () => {
+    call.isCancelled = true;
+    call.controller.abort();
+    call.rollback();
+  };
+  return call;
+};
+
+/**
+ * Checks whether an error should be rethrown to the nearest error boundary.
+ * @param {boolean|Function} throwOnError - `true` for every `ApiError`, or a predicate `(error) => boolean`.
+ * @param {Error} error - The request error.
+ * @returns {boolean} Whether to throw the error.
+ */
+const shouldThrowError = (throwOnError, error) => (typeof throwOnError === 'function' ? !!throwOnError(error) : !!throwOnError && error instanceof ApiError);
 
 /**
  * A unified and flexible base hook for handling API requests.
@@ -6,14 +205,16 @@ import {useState, useRef, useEffect, useCallback, useMemo} from 'react';
  * @returns {object} The API state and methods.
  */
 export const useApiBase = (options = {}) => {
-  if (!options.apiManager) {
-    throw new Error('useApiBase requires an `apiManager` instance to be provided in the options.');
-  }
+  // Resolved on every render, so a changed `client` option or a replaced client takes effect.
+  // `null` once the client is unregistered: the hook keeps its data, and new requests fail until it is registered again.
+  const manager = useApiManager();
+  const apiClient = useResolvedClient(options, 'useApiBase', manager);
 
   // Memoize the settings object to prevent re-renders from causing dependency changes.
   const settings = useMemo(
     () => ({
       uri: '',
+      method: 'POST',
       initialParams: {},
       params: undefined, // Allow for controlled params
       globalStore: null,
@@ -33,37 +234,103 @@ export const useApiBase = (options = {}) => {
       onError: () => {},
       onCompleted: () => {},
       onRefresh: () => {},
-      pagination: null,
+      cache: false,
+      refetchOnInvalidate: false,
+      refetchOnClientChange: false,
+      optimisticUpdate: null,
+      concurrency: 'ignore',
+      sendResult: 'data',
+      suspense: false,
+      throwOnError: false,
       ...options,
+      pagination: resolvePagination(options.pagination),
     }),
     [options],
   );
 
   const [params, setParams] = useState(settings.initialParams || settings.params);
-  const [error, setError] = useState(null);
+  const hasGlobalStore = !!(settings.globalStore && settings.dataPath);
+  // Read the cache once on mount so cached data renders immediately instead of a spinner.
+  const [initialRequestParams] = useState(() => ({
+    ...(settings.pagination ? getFirstPageParams(settings.pagination) : {}),
+    ...(settings.initialParams || settings.params),
+  }));
+  const [initialCachedResponse] = useState(() => {
+    if (!settings.cache) return undefined;
+    return manager.cache.getData(buildCacheKey(manager, apiClient, settings, settings.filterParams({...initialRequestParams})));
+  });
+  // With `suspense`, the first request starts during render and the component suspends until it settles.
+  const [suspended] = useState(() => {
+    if (!settings.suspense || initialCachedResponse !== undefined) return null;
+    if (hasGlobalStore && settings.globalStore.get(settings.dataPath)) return null;
+    const finalParams = settings.filterParams({...initialRequestParams});
+    if (!settings.validateParams(finalParams)) return null;
+
+    const queryKey = buildCacheKey(manager, apiClient, settings, finalParams);
+    const request = readSuspenseRequest(manager, queryKey, async () => {
+      const {uri, payload} = buildRequestArguments(settings, finalParams);
+      const fullResponse = await apiClient.request(uri, {...payload, fullResponse: true});
+      if (fullResponse && settings.cache) manager.cache.set(queryKey, fullResponse.data, {cacheTime: settings.cache.cacheTime});
+      return fullResponse;
+    });
+    if (request.status === 'pending') throw request.promise;
+    // A thrown error is forgotten right away, so resetting the boundary sends the request again.
+    if (request.status === 'error' && shouldThrowError(settings.throwOnError, request.error)) {
+      releaseSuspenseRequest(manager, queryKey, request);
+      throw request.error;
+    }
+    return {queryKey, request, finalParams};
+  });
+  const suspendedResponse = suspended?.request.response || null;
+  const [error, setError] = useState(suspended?.request.error || null);
+  // Status and headers of the last network response, e.g. for `Link`, `ETag` or rate-limit headers.
+  const [responseMeta, setResponseMeta] = useState(() => {
+    const source = suspendedResponse || suspended?.request.error;
+    return {status: source?.status ?? null, headers: source?.headers ?? null};
+  });
   const [loadingStates, setLoadingStates] = useState({
-    isInitialLoading: settings.runOnMount,
-    isRefreshing: false,
-    isLoadingMore: false,
+    ...IDLE_LOADING_STATES,
+    isInitialLoading: settings.runOnMount && initialCachedResponse === undefined && !suspended,
   });
 
-  const apiClient = useRef(settings.apiManager);
-  const lastFetchTimestamp = useRef(0);
-  const hasFetchedOnce = useRef(false);
+  const lastFetchTimestamp = useRef(suspended ? Date.now() : 0);
+  const hasFetchedOnce = useRef(!!suspended);
   const isMounted = useRef(true);
   const debounceTimer = useRef(null);
   const previousParams = useRef(params);
+  // Each call owns its own controller, so cancelling one call never cancels other calls or other screens' requests.
+  const activeCalls = useRef(new Set());
+  const lastCall = useRef(null);
+  const lastQueryKey = useRef(suspended?.queryKey || null);
+  const latestSend = useRef(null);
 
-  const localResponseState = useState(settings.pagination ? {results: []} : null);
-  const hasGlobalStore = !!(settings.globalStore && settings.dataPath);
+  const localResponseState = useState(() => {
+    if (initialCachedResponse !== undefined) return buildResponseState(settings, initialCachedResponse, initialRequestParams);
+    if (suspendedResponse && !hasGlobalStore) return buildResponseState(settings, suspendedResponse.data, initialRequestParams);
+    return settings.pagination ? {results: [], pages: []} : null;
+  });
+  // Calls read the response when they run rather than when they were created, e.g. queued page loads.
+  const latestResponse = useRef(localResponseState[0]);
 
   const response = useMemo(
     () => (hasGlobalStore ? settings.globalStore.use(settings.dataPath) : localResponseState[0]),
     [hasGlobalStore, settings.globalStore, settings.dataPath, localResponseState],
   );
 
+  const getCurrentResponse = useCallback(
+    () => (hasGlobalStore ? settings.globalStore.get(settings.dataPath) : latestResponse.current),
+    [hasGlobalStore, settings.globalStore, settings.dataPath],
+  );
+
   const setResponse = useCallback(
-    value => (hasGlobalStore ? settings.globalStore.update(settings.dataPath, value) : localResponseState[1](value)),
+    value => {
+      if (hasGlobalStore) {
+        settings.globalStore.update(settings.dataPath, value);
+      } else {
+        latestResponse.current = typeof value === 'function' ? value(latestResponse.current) : value;
+        localResponseState[1](latestResponse.current);
+      }
+    },
     [hasGlobalStore, settings.globalStore, settings.dataPath, localResponseState],
   );
 
@@ -91,93 +358,305 @@ export const useApiBase = (options = {}) => {
     }
   }, [hasGlobalStore, settings.globalStore, settings.dataPath]);
 
-  const send = useCallback(
-    async (mode = 'initial', oneTimeParams = {}) => {
-      if (loadingStates.isInitialLoading || loadingStates.isRefreshing) {
-        if (mode !== 'pagination' || !settings.pagination) return;
-      }
+  const loadedPages = useMemo(() => (settings.pagination && response?.pages) || [], [settings.pagination, response]);
+  const nextPageParams = useMemo(
+    () => (settings.pagination ? getNextPageParams(settings.pagination, loadedPages[loadedPages.length - 1], response?.metadata) : null),
+    [settings.pagination, loadedPages, response],
+  );
+  const previousPageParams = useMemo(
+    () => (settings.pagination ? getPreviousPageParams(settings.pagination, loadedPages[0]) : null),
+    [settings.pagination, loadedPages],
+  );
 
-      setLoadingStates(prev => ({
-        ...prev,
-        isInitialLoading: mode === 'initial' && !hasFetchedOnce.current,
-        isRefreshing: mode === 'refresh',
-        isLoadingMore: mode === 'pagination',
-      }));
-      setError(null);
+  const runRequest = useCallback(
+    async (call, mode, oneTimeParams, {allPages = false, pageIndex} = {}) => {
+      const {pagination} = settings;
+      const isPageLoad = (mode === 'pagination' || mode === 'previous') && !!pagination;
+      const pagesAtStart = getCurrentResponse()?.pages || [];
+      // A refetched page is matched by identity, so pages added or dropped in the meantime don't shift it.
+      const targetPage = mode === 'refetchPage' ? pagesAtStart[pageIndex] : undefined;
+      if (mode === 'refetchPage' && !targetPage) return callResult('skipped');
+      const shouldRefetchAllPages = !!pagination && mode === 'refresh' && allPages && pagesAtStart.length > 1;
 
-      const currentParams = {...params, ...oneTimeParams};
-      if (mode === 'pagination' && settings.pagination) {
-        const currentResponse = hasGlobalStore ? settings.globalStore.get(settings.dataPath) : response;
-        const page = currentResponse?.metadata?.page || 0;
-        currentParams.page = page + 1;
+      let currentParams = {...params, ...oneTimeParams};
+      let pageParams = {};
+      if (targetPage) {
+        currentParams = targetPage.params;
+        pageParams = targetPage.pageParams;
+      } else if (isPageLoad) {
+        pageParams =
+          mode === 'pagination'
+            ? getNextPageParams(pagination, pagesAtStart[pagesAtStart.length - 1], getCurrentResponse()?.metadata)
+            : getPreviousPageParams(pagination, pagesAtStart[0]);
+        if (!pageParams) return callResult('skipped');
+        currentParams = {...currentParams, ...pageParams};
+      } else if (pagination) {
+        // Refetching every page starts from the first loaded page, so a trimmed list keeps its position.
+        pageParams = shouldRefetchAllPages ? pagesAtStart[0].pageParams : getFirstPageParams(pagination);
+        currentParams = shouldRefetchAllPages ? {...currentParams, ...pageParams} : {...pageParams, ...currentParams};
       }
       const finalParams = settings.filterParams(currentParams);
 
       if (!settings.validateParams(finalParams)) {
-        setLoadingStates({isInitialLoading: false, isRefreshing: false, isLoadingMore: false});
-        return;
+        setLoadingStates(IDLE_LOADING_STATES);
+        return callResult('skipped');
+      }
+
+      // Serve cached data immediately, then revalidate in the background if it is stale.
+      const cacheOptions = settings.cache === true ? {} : settings.cache;
+      const queryKey = buildCacheKey(manager, apiClient, settings, finalParams);
+      const cacheKey = cacheOptions ? queryKey : null;
+      lastQueryKey.current = queryKey;
+      let isBackground = mode === 'background';
+      if (cacheKey && mode === 'initial') {
+        const cachedEntry = manager.cache.get(cacheKey);
+        if (cachedEntry) {
+          setResponse(buildResponseState(settings, cachedEntry.data, currentParams));
+          hasFetchedOnce.current = true;
+          if (!manager.cache.isStale(cacheKey, cacheOptions.staleTime)) {
+            setLoadingStates(IDLE_LOADING_STATES);
+            return callResult('success', settings.filterResponse(cachedEntry.data));
+          }
+          isBackground = true;
+        }
       }
 
+      if (!isBackground) {
+        setLoadingStates(prev => ({
+          ...prev,
+          isInitialLoading: mode === 'initial' && !hasFetchedOnce.current,
+          isRefreshing: mode === 'refresh',
+          isLoadingMore: mode === 'pagination',
+          isLoadingPrevious: mode === 'previous',
+          isRefetchingPage: mode === 'refetchPage',
+        }));
+      }
+      setError(null);
+
+      // Show the expected result right away and remember what to restore if the request fails.
+      const shouldUpdateOptimistically = !!settings.optimisticUpdate && !isBackground;
+      const previousResponse = getCurrentResponse();
+      if (shouldUpdateOptimistically) {
+        setResponse(settings.optimisticUpdate(previousResponse, finalParams));
+      }
+      // A global store outlives the component, so it is rolled back even after unmounting.
+      let isRolledBack = false;
+      const rollback = () => {
+        if (!shouldUpdateOptimistically || isRolledBack) return;
+        isRolledBack = true;
+        if (hasGlobalStore || isMounted.current) setResponse(previousResponse);
+      };
+      call.rollback = rollback;
+      // Aborted requests resolve to null. A cancelled call must not touch the state, as a newer call owns it.
+      const isInterrupted = fullResponse => fullResponse === null || call.controller.signal.aborted;
+      const interruptedResult = () => {
+        rollback();
+        return callResult(call.isCancelled ? 'cancelled' : 'aborted');
+      };
+
       await settings.onSubmit();
       if (mode === 'refresh') await settings.onRefresh();
 
+      const fetchPage = requestParams => {
+        const {uri, payload} = buildRequestArguments(settings, requestParams);
+        // Without a client, resolving it again throws the reason
+        const requestClient = apiClient || resolveClient(settings, 'useApiBase', manager);
+        return requestClient.request(uri, {...payload, signal: call.controller.signal, fullResponse: true});
+      };
+
       try {
-        // NOTE: Defaulting to `post` for data submission. Change if your API uses GET for queries with bodies.
-        const apiResponse = await apiClient.current.request(`post:${settings.uri}`, {body: finalParams});
+        if (call.controller.signal.aborted) return interruptedResult();
+        const fullResponse = await fetchPage(finalParams);
 
-        if (!isMounted.current || apiResponse === null) return; // Aborted or unmounted
+        if (isInterrupted(fullResponse)) return interruptedResult();
+        if (!isMounted.current) return callResult('aborted');
+
+        const apiResponse = fullResponse.data;
+        setResponseMeta({status: fullResponse.status, headers: fullResponse.headers});
 
         const filteredData = settings.filterResponse(apiResponse);
         lastFetchTimestamp.current = Date.now();
         hasFetchedOnce.current = true;
+        if (cacheKey) manager.cache.set(cacheKey, apiResponse, {cacheTime: cacheOptions.cacheTime});
+
+        if (pagination) {
+          const loadedPage = {params: currentParams, pageParams, data: apiResponse};
+          const refetchedPages = [loadedPage];
+          // Each page is requested with params derived from the freshly loaded page before it, as cursors may have changed.
+          while (shouldRefetchAllPages && refetchedPages.length < pagesAtStart.length) {
+            const nextParams = getNextPageParams(pagination, refetchedPages[refetchedPages.length - 1]);
+            if (!nextParams) break;
+            const nextRequestParams = {...params, ...oneTimeParams, ...nextParams};
+            const nextFinalParams = settings.filterParams(nextRequestParams);
+            const nextResponse = await fetchPage(nextFinalParams);
+            if (isInterrupted(nextResponse)) return interruptedResult();
+            if (!isMounted.current) return callResult('aborted');
+            if (cacheKey) {
+              manager.cache.set(buildCacheKey(manager, apiClient, settings, nextFinalParams), nextResponse.data, {cacheTime: cacheOptions.cacheTime});
+            }
+            refetchedPages.push({params: nextRequestParams, pageParams: nextParams, data: nextResponse.data});
+          }
 
-        if (settings.pagination) {
-          const newResults = settings.pagination.getResults(apiResponse);
-          const newMetadata = settings.pagination.getMetadata(apiResponse);
-          const currentResponse = hasGlobalStore ? settings.globalStore.get(settings.dataPath) : response;
-          const mergedResults = settings.pagination.merge(currentResponse?.results, newResults, currentParams.page);
-          setResponse({results: mergedResults, metadata: newMetadata});
+          // Page loads add to the pages loaded by then; every other request starts the list over.
+          const currentPages = getCurrentResponse()?.pages || [];
+          let pages = refetchedPages;
+          if (mode === 'pagination') pages = limitPages([...currentPages, loadedPage], pagination.maxPages, 'next');
+          if (mode === 'previous') pages = limitPages([loadedPage, ...currentPages], pagination.maxPages, 'previous');
+          if (targetPage) pages = currentPages.map(page => (page === targetPage ? loadedPage : page));
+          setResponse(buildPagedState(pagination, pages));
         } else {
-          setResponse(filteredData);
+          setResponse(buildResponseState(settings, apiResponse));
         }
 
         await settings.onSuccess(filteredData, finalParams);
+        return callResult('success', filteredData);
       } catch (err) {
-        if (isMounted.current) setError(err);
+        if (call.controller.signal.aborted) return interruptedResult();
+        rollback();
+        if (isMounted.current) {
+          setError(err);
+          setResponseMeta({status: err.status ?? null, headers: err.headers ?? null});
+        }
         await settings.onError(err);
+        return callResult('error', null, err);
       } finally {
         if (isMounted.current) {
-          setLoadingStates({isInitialLoading: false, isRefreshing: false, isLoadingMore: false});
+          // Another call that is still running keeps its loading flags.
+          const hasOtherActiveCalls = [...activeCalls.current].some(activeCall => activeCall !== call && !activeCall.controller.signal.aborted);
+          if (!hasOtherActiveCalls) setLoadingStates(IDLE_LOADING_STATES);
           await settings.onCompleted();
         }
       }
     },
-    [params, settings, hasGlobalStore, response, loadingStates, setResponse],
+    [params, settings, manager, apiClient, hasGlobalStore, getCurrentResponse, setResponse],
   );
 
+  // Every call resolves with a result object internally, which `sendResult` decides how to hand out.
+  // Only the functions the hook returns apply it, so calls the hook makes by itself never reject.
+  const settle = useCallback(
+    result => (settings.sendResult === 'data' ? Promise.resolve(result).then(toSendData) : Promise.resolve(result)),
+    [settings.sendResult],
+  );
+
+  // Applies the `concurrency` policy when a call is made while another one is still running.
+  const dispatch = useCallback(
+    (mode = 'initial', oneTimeParams = {}, requestOptions = {}) => {
+      const previousCall = lastCall.current;
+      if (previousCall && settings.concurrency === 'ignore') return Promise.resolve(callResult('ignored'));
+      if (previousCall && settings.concurrency === 'cancelPrevious') previousCall.cancel();
+      const previousTurn = previousCall && settings.concurrency === 'queue' ? previousCall.promise.catch(() => {}) : null;
+
+      const call = createCall([mode, oneTimeParams, requestOptions]);
+      activeCalls.current.add(call);
+      lastCall.current = call;
+      call.promise = (async () => {
+        try {
+          if (previousTurn) await previousTurn;
+          if (call.controller.signal.aborted) return callResult(call.isCancelled ? 'cancelled' : 'aborted');
+          return await runRequest(call, mode, oneTimeParams, requestOptions);
+        } finally {
+          activeCalls.current.delete(call);
+          if (lastCall.current === call) lastCall.current = null;
+        }
+      })();
+      return call.promise;
+    },
+    [settings.concurrency, runRequest],
+  );
+  latestSend.current = dispatch;
+
+  const send = useCallback((...args) => dispatch(...args).then(settle), [dispatch, settle]);
+
+  // Revalidate in the background when the query this hook displays is invalidated.
+  // Without the cache this is opt-in, because re-sending a hook that performs a mutation is not safe.
+  const shouldRefetchOnInvalidate = !!settings.cache || !!settings.refetchOnInvalidate;
+  useEffect(() => {
+    if (!shouldRefetchOnInvalidate) return;
+    return manager.cache.subscribe((invalidatedKeys, matches) => {
+      if (isMounted.current && lastQueryKey.current && matches(lastQueryKey.current)) {
+        latestSend.current('background');
+      }
+    });
+  }, [manager, shouldRefetchOnInvalidate]);
+
+  const abortPending = useCallback(() => {
+    activeCalls.current.forEach(call => call.controller.abort());
+  }, []);
+
   useEffect(() => {
     if (settings.abortOnUnmount) {
-      const client = apiClient.current;
-      return () => client.abort();
+      return () => abortPending();
+    }
+  }, [settings.abortOnUnmount, abortPending]);
+
+  // Take over the result the component suspended for, then let the next mount fetch again.
+  const unconsumedSuspense = useRef(suspended);
+  useEffect(() => {
+    if (!unconsumedSuspense.current) return;
+    const {queryKey, request, finalParams} = unconsumedSuspense.current;
+    unconsumedSuspense.current = null;
+    releaseSuspenseRequest(manager, queryKey, request);
+    if (request.status === 'error') {
+      settings.onError(request.error);
+    } else if (request.response) {
+      if (hasGlobalStore) setResponse(buildResponseState(settings, request.response.data, initialRequestParams));
+      settings.onSuccess(settings.filterResponse(request.response.data), finalParams);
     }
-  }, [settings.abortOnUnmount]);
+  }, [manager, settings, hasGlobalStore, setResponse, initialRequestParams]);
 
+  // The effects below go through `latestSend`, so a re-created `send` doesn't fire them again.
   useEffect(() => {
     const shouldFetch = settings.runOnMount && (!hasFetchedOnce.current || settings.alwaysRunOnMount);
     if (shouldFetch) {
       const existingData = hasGlobalStore ? settings.globalStore.get(settings.dataPath) : null;
       if (!existingData || settings.alwaysRunOnMount) {
-        send('initial');
+        latestSend.current('initial');
       }
     }
-  }, [settings.runOnMount, settings.alwaysRunOnMount, send, hasGlobalStore, settings.globalStore, settings.dataPath]);
+  }, [settings.runOnMount, settings.alwaysRunOnMount, hasGlobalStore, settings.globalStore, settings.dataPath]);
 
   const refreshDependencyKey = useMemo(() => JSON.stringify(settings.refreshDependencies), [settings.refreshDependencies]);
+  const hasRefreshDependencies = settings.refreshDependencies.length > 0;
   useEffect(() => {
-    if (hasFetchedOnce.current && settings.refreshDependencies.length > 0) {
-      send('refresh');
+    if (hasFetchedOnce.current && hasRefreshDependencies) {
+      latestSend.current('refresh');
     }
-  }, [send, refreshDependencyKey]);
+  }, [hasRefreshDependencies, refreshDependencyKey]);
+
+  // Requests sent with an outdated client or environment are cancelled. Only hooks that read data send them again,
+  // because re-sending a mutation would repeat a write nobody asked for.
+  // A cancelled call is sent again with its own arguments, otherwise data that has already loaded is refreshed.
+  const shouldRefetchOnClientChange =
+    settings.runOnMount || !!settings.cache || !!settings.refetchOnClientChange || ['GET', 'HEAD'].includes(resolveRequestTarget(settings).method);
+  const cancelRequests = useCallback(() => {
+    const cancelledCalls = [...activeCalls.current];
+    cancelledCalls.forEach(call => call.cancel());
+    lastCall.current = null;
+    return cancelledCalls;
+  }, []);
+  const restartRequests = useCallback(() => {
+    const cancelledCalls = cancelRequests();
+    if (!shouldRefetchOnClientChange) return;
+    if (cancelledCalls.length > 0) {
+      latestSend.current(...cancelledCalls[cancelledCalls.length - 1].args);
+    } else if (hasFetchedOnce.current) {
+      latestSend.current('refresh');
+    }
+  }, [cancelRequests, shouldRefetchOnClientChange]);
+
+  const previousClient = useRef(apiClient);
+  useEffect(() => {
+    if (previousClient.current === apiClient) return;
+    previousClient.current = apiClient;
+    // An unregistered client has nothing to send to until a client is registered under its name again.
+    if (apiClient) {
+      restartRequests();
+    } else {
+      cancelRequests();
+    }
+  }, [apiClient, restartRequests, cancelRequests]);
+
+  useEffect(() => manager.on('environmentChange', restartRequests), [manager, restartRequests]);
 
   useEffect(() => {
     if (!settings.runOnParamsChange || !hasFetchedOnce.current) return;
@@ -186,17 +665,25 @@ export const useApiBase = (options = {}) => {
 
     const debounceMs = typeof settings.runOnParamsChange === 'number' ? settings.runOnParamsChange : 300;
     if (debounceTimer.current) clearTimeout(debounceTimer.current);
-    debounceTimer.current = setTimeout(() => send('refresh'), debounceMs);
-  }, [params, settings.runOnParamsChange, send]);
+    debounceTimer.current = setTimeout(() => latestSend.current('refresh'), debounceMs);
+  }, [params, settings.runOnParamsChange]);
 
-  const refresh = useCallback(() => send('refresh'), [send]);
+  const dispatchRefresh = useCallback(
+    ({allPages = settings.pagination?.refreshAllPages} = {}) => dispatch('refresh', {}, {allPages}),
+    [dispatch, settings.pagination],
+  );
 
-  const loadMore = useCallback(() => {
-    const currentResponse = hasGlobalStore ? settings.globalStore.get(settings.dataPath) : response;
-    if (settings.pagination && currentResponse?.metadata?.hasMore) {
-      send('pagination');
-    }
-  }, [send, settings.pagination, response, hasGlobalStore, settings.globalStore, settings.dataPath]);
+  const refresh = useCallback(options => dispatchRefresh(options).then(settle), [dispatchRefresh, settle]);
+
+  // Nothing to load is checked up front, so it never ignores or cancels a running call.
+  const refetchPage = useCallback(
+    pageIndex => (loadedPages[pageIndex] ? send('refetchPage', {}, {pageIndex}) : settle(callResult('skipped'))),
+    [send, settle, loadedPages],
+  );
+
+  const loadMore = useCallback(() => (nextPageParams ? send('pagination') : settle(callResult('skipped'))), [send, settle, nextPageParams]);
+
+  const loadPrevious = useCallback(() => (previousPageParams ? send('previous') : settle(callResult('skipped'))), [send, settle, previousPageParams]);
 
   const updateParams = useCallback(updates => setParams(prev => ({...prev, ...updates})), []);
   const handleOnChange = useCallback(key => value => setParams(prev => ({...prev, [key]: value})), []);
@@ -207,24 +694,32 @@ export const useApiBase = (options = {}) => {
     if (typeof settings.runOnFocus === 'number') {
       if (Date.now() - lastFetchTimestamp.current < settings.runOnFocus * 1000) return;
     }
-    refresh();
-  }, [settings.runOnFocus, refresh]);
+    dispatchRefresh();
+  }, [settings.runOnFocus, dispatchRefresh]);
 
   const blur = useCallback(() => {
     if (settings.abortOnBlur) {
-      apiClient.current.abort();
+      abortPending();
     }
-  }, [settings.abortOnBlur]);
+  }, [settings.abortOnBlur, abortPending]);
+
+  // Thrown after every hook has run, so the next render calls the same hooks.
+  if (error && shouldThrowError(settings.throwOnError, error)) throw error;
 
   return {
     response,
+    status: responseMeta.status,
+    headers: responseMeta.headers,
     error,
     params,
-    hasMore: (hasGlobalStore ? settings.globalStore.get(settings.dataPath)?.metadata?.hasMore : response?.metadata?.hasMore) ?? false,
-    isLoading: loadingStates.isInitialLoading || loadingStates.isRefreshing || loadingStates.isLoadingMore,
+    hasMore: !!nextPageParams,
+    hasPrevious: !!previousPageParams,
+    isLoading: Object.values(loadingStates).some(Boolean),
     isInitialLoading: loadingStates.isInitialLoading,
     isRefreshing: loadingStates.isRefreshing,
     isLoadingMore: loadingStates.isLoadingMore,
+    isLoadingPrevious: loadingStates.isLoadingPrevious,
+    isRefetchingPage: loadingStates.isRefetchingPage,
     setResponse,
     setParams,
     updateParams,
@@ -232,6 +727,8 @@ export const useApiBase = (options = {}) => {
     send,
     refresh,
     loadMore,
+    loadPrevious,
+    refetchPage,
     focus,
     blur,
   };
@@ -0,0 +1,112 @@
+import {useState, useRef, useEffect, useCallback, useMemo} from 'react';
+import {buildRequestArguments} from './requestTarget';
+import {resolveClient, useResolvedClient} from './resolveClient';
+import {useApiManager} from '../components/ApiManagerProvider';
+
+const IDLE_STATE = {status: 'idle', data: null, error: null, params: null};
+
+/**
+ * Converts an `invalidates` entry into a query cache filter.
+ * A string matches every query for that uri, regardless of client, method and params.
+ * @param {string|Array|Function} filter - A uri, a key prefix or a predicate.
+ * @returns {Array|Function} The query cache filter.
+ */
+const toQueryFilter = filter => (typeof filter === 'string' ? queryKey => queryKey[2] === filter : filter);
+
+/**
+ * A hook for sending mutations such as form submissions.
+ * @param {object} options - The configuration options for the hook.
+ * @returns {object} The mutation state and methods.
+ */
+export const useMutation = (options = {}) => {
+  const manager = useApiManager();
+  // `null` once the client is unregistered, see `useResolvedClient`
+  const apiClient = useResolvedClient(options, 'useMutation', manager);
+
+  const settings = useMemo(
+    () => ({
+      uri: '',
+      method: 'POST',
+      invalidates: [],
+      filterParams: params => params,
+      filterResponse: data => data,
+      onSuccess: () => {},
+      onError: () => {},
+      onCompleted: () => {},
+      ...options,
+    }),
+    [options],
+  );
+
+  const [state, setState] = useState(IDLE_STATE);
+  const isMounted = useRef(true);
+  // Only the latest call updates the state, so an older call that settles late can't overwrite it.
+  const latestCallId = useRef(0);
+
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+
+  const mutateAsync = useCallback(
+    async (params = {}) => {
+      const callId = ++latestCallId.current;
+      const isLatestCall = () => isMounted.current && callId === latestCallId.current;
+      const finalParams = settings.filterParams(params);
+      setState({status: 'pending', data: null, error: null, params: finalParams});
+
+      try {
+        const {uri, payload} = buildRequestArguments(settings, finalParams);
+        // Without a client, resolving it again throws the reason
+        const requestClient = apiClient || resolveClient(settings, 'useMutation', manager);
+        const apiResponse = await requestClient.request(uri, payload);
+
+        // Aborted requests resolve to null
+        if (apiResponse === null) {
+          if (isLatestCall()) setState(IDLE_STATE);
+          return null;
+        }
+
+        const filteredData = settings.filterResponse(apiResponse);
+        if (isLatestCall()) setState({status: 'success', data: filteredData, error: null, params: finalParams});
+
+        const invalidates = typeof settings.invalidates === 'function' ? settings.invalidates(filteredData, finalParams) : settings.invalidates;
+        (invalidates || []).forEach(filter => manager.invalidateQueries(toQueryFilter(filter)));
+
+        await settings.onSuccess(filteredData, finalParams);
+        return filteredData;
+      } catch (err) {
+        if (isLatestCall()) setState({status: 'error', data: null, error: err, params: finalParams});
+        await settings.onError(err, finalParams);
+        throw err;
+      } finally {
+        await settings.onCompleted();
+      }
+    },
+    [settings, manager, apiClient],
+  );
+
+  // Errors are exposed through `error`, so the fire-and-forget variant doesn't reject.
+  const mutate = useCallback(params => mutateAsync(params).catch(() => {}), [mutateAsync]);
+
+  const reset = useCallback(() => {
+    latestCallId.current += 1;
+    setState(IDLE_STATE);
+  }, []);
+
+  return {
+    data: state.data,
+    error: state.error,
+    params: state.params,
+    status: state.status,
+    isIdle: state.status === 'idle',
+    isPending: state.status === 'pending',
+    isSuccess: state.status === 'success',
+    isError: state.status === 'error',
+    mutate,
+    mutateAsync,
+    reset,
+  };
+};
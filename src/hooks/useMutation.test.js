@@ -0,0 +1,179 @@
+/**
+ * @file Tests for useMutation hook
+ * @author Alan Chen
+ */
+
+import {renderHook, act} from '@testing-library/react-native';
+import {useMutation} from './useMutation';
+import {useApiBase} from './useApiBase';
+import {manager} from '../services/ApiManager';
+
+// Mock API client
+const mockApiClient = {
+  request: jest.fn(),
+  abort: jest.fn(),
+};
+
+describe('useMutation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager.cache.clear();
+  });
+
+  it('should throw error when no client is provided and no default client is registered', () => {
+    expect(() => {
+      renderHook(() => useMutation({}));
+    }).toThrow('useMutation has no API client: pass the name of a registered client as `client`, or register a default client.');
+  });
+
+  it('should send the mutation with the client registered under the given name', async () => {
+    const analyticsClient = manager.register('mutation-analytics', {baseUrl: 'https://analytics.test'});
+    jest.spyOn(analyticsClient, 'request').mockResolvedValue({id: 1});
+    const {result} = renderHook(() => useMutation({client: 'mutation-analytics', uri: 'events'}));
+
+    await act(async () => {
+      await result.current.mutateAsync({name: 'opened'});
+    });
+
+    expect(analyticsClient.request).toHaveBeenCalledWith('post:events', {body: {name: 'opened'}});
+    expect(result.current.data).toEqual({id: 1});
+  });
+
+  it('should fail instead of throwing during render after its client is unregistered', async () => {
+    const tenantClient = manager.register('mutation-tenant', {baseUrl: 'https://tenant.test'});
+    jest.spyOn(tenantClient, 'request').mockResolvedValue({id: 1});
+    const {result} = renderHook(() => useMutation({client: 'mutation-tenant', uri: 'orders'}));
+
+    await act(async () => {
+      manager.unregister('mutation-tenant');
+    });
+    await act(async () => {
+      await expect(result.current.mutateAsync({amount: 5})).rejects.toThrow("useMutation was given `client: 'mutation-tenant'`");
+    });
+
+    expect(result.current.isError).toBe(true);
+    expect(tenantClient.request).not.toHaveBeenCalled();
+  });
+
+  it('should start idle', () => {
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'posts'}));
+
+    expect(result.current.status).toBe('idle');
+    expect(result.current.isIdle).toBe(true);
+    expect(result.current.data).toBeNull();
+    expect(mockApiClient.request).not.toHaveBeenCalled();
+  });
+
+  it('should send the params and expose the pending and success states', async () => {
+    let resolveRequest;
+    mockApiClient.request.mockReturnValue(
+      new Promise(resolve => {
+        resolveRequest = resolve;
+      }),
+    );
+    const onSuccess = jest.fn();
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'posts', onSuccess}));
+
+    let mutation;
+    act(() => {
+      mutation = result.current.mutateAsync({title: 'Hello'});
+    });
+
+    expect(result.current.isPending).toBe(true);
+    expect(mockApiClient.request).toHaveBeenCalledWith('post:posts', {body: {title: 'Hello'}});
+
+    await act(async () => {
+      resolveRequest({id: 1, title: 'Hello'});
+      await mutation;
+    });
+
+    await expect(mutation).resolves.toEqual({id: 1, title: 'Hello'});
+    expect(result.current.isSuccess).toBe(true);
+    expect(result.current.data).toEqual({id: 1, title: 'Hello'});
+    expect(result.current.params).toEqual({title: 'Hello'});
+    expect(onSuccess).toHaveBeenCalledWith({id: 1, title: 'Hello'}, {title: 'Hello'});
+  });
+
+  it('should send DELETE params in the query string', async () => {
+    mockApiClient.request.mockResolvedValue({});
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'delete:posts/1'}));
+
+    await act(async () => {
+      await result.current.mutateAsync({force: true});
+    });
+
+    expect(mockApiClient.request).toHaveBeenCalledWith('delete:posts/1', {params: {force: true}});
+  });
+
+  it('should reject mutateAsync and expose the error state on failure', async () => {
+    const mockError = new Error('Validation failed');
+    mockApiClient.request.mockRejectedValue(mockError);
+    const onError = jest.fn();
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'posts', onError}));
+
+    await act(async () => {
+      await expect(result.current.mutateAsync({title: ''})).rejects.toBe(mockError);
+    });
+
+    expect(result.current.isError).toBe(true);
+    expect(result.current.error).toBe(mockError);
+    expect(onError).toHaveBeenCalledWith(mockError, {title: ''});
+  });
+
+  it('should not reject from mutate', async () => {
+    mockApiClient.request.mockRejectedValue(new Error('Validation failed'));
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'posts'}));
+
+    await act(async () => {
+      await result.current.mutate({title: ''});
+    });
+
+    expect(result.current.isError).toBe(true);
+  });
+
+  it('should return to idle on reset', async () => {
+    mockApiClient.request.mockResolvedValue({id: 1});
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'posts'}));
+
+    await act(async () => {
+      await result.current.mutateAsync();
+    });
+    act(() => {
+      result.current.reset();
+    });
+
+    expect(result.current.isIdle).toBe(true);
+    expect(result.current.data).toBeNull();
+  });
+
+  it('should invalidate matching queries after success', async () => {
+    manager.cache.set(['', 'POST', 'posts', null], ['cached']);
+    manager.cache.set(['', 'POST', 'users', null], ['cached']);
+    mockApiClient.request.mockResolvedValue({id: 1});
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'posts', invalidates: ['posts']}));
+
+    await act(async () => {
+      await result.current.mutateAsync({title: 'Hello'});
+    });
+
+    expect(manager.cache.get(['', 'POST', 'posts', null]).isInvalidated).toBe(true);
+    expect(manager.cache.get(['', 'POST', 'users', null]).isInvalidated).toBe(false);
+  });
+
+  it('should refresh mounted useApiBase instances that display an invalidated query', async () => {
+    mockApiClient.request.mockResolvedValue({data: 'posts'});
+    const {result: list} = renderHook(() => useApiBase({apiManager: mockApiClient, uri: 'get:posts', refetchOnInvalidate: true}));
+    await act(async () => {
+      await list.current.send();
+    });
+
+    const {result} = renderHook(() => useMutation({apiManager: mockApiClient, uri: 'posts', invalidates: data => [['', 'GET', 'posts'], `posts/${data.id}`]}));
+    mockApiClient.request.mockResolvedValue({id: 7});
+    await act(async () => {
+      await result.current.mutateAsync({title: 'Hello'});
+    });
+
+    expect(mockApiClient.request).toHaveBeenCalledTimes(3);
+    expect(mockApiClient.request).toHaveBeenLastCalledWith('get:posts', expect.objectContaining({fullResponse: true}));
+  });
+});
@@ -0,0 +1,37 @@
+import {useState, useEffect, useCallback} from 'react';
+import {useApiManager} from '../components/ApiManagerProvider';
+
+/**
+ * A hook that exposes the status of the offline request queue.
+ * @param {object} [offlineQueue] - The queue to follow. Defaults to the one enabled on the `apiManager`.
+ * @returns {{pending: Array<object>, pendingCount: number, isOnline: boolean, isReplaying: boolean, lastError: Error|null, replay: Function, remove: Function, clear: Function}}
+ */
+export const useOfflineQueue = offlineQueue => {
+  const manager = useApiManager();
+  const queue = offlineQueue || manager.getOfflineQueue();
+  if (!queue) {
+    throw new Error('useOfflineQueue requires an offline queue. Call `apiManager.enableOfflineQueue()` first.');
+  }
+
+  const [queueState, setQueueState] = useState(() => queue.getState());
+
+  useEffect(() => {
+    setQueueState(queue.getState());
+    return queue.subscribe(setQueueState);
+  }, [queue]);
+
+  const replay = useCallback(() => queue.replay(), [queue]);
+  const remove = useCallback(id => queue.remove(id), [queue]);
+  const clear = useCallback(() => queue.clear(), [queue]);
+
+  return {
+    pending: queueState.pending,
+    pendingCount: queueState.pending.length,
+    isOnline: queueState.isOnline,
+    isReplaying: queueState.isReplaying,
+    lastError: queueState.lastError,
+    replay,
+    remove,
+    clear,
+  };
+};
@@ -1,13 +1,18 @@
 import {useState, useEffect, useRef} from 'react';
+import {useResolvedClient} from './resolveClient';
+import {useApiManager} from '../components/ApiManagerProvider';
 
 /**
  * A hook for making multiple API requests in parallel.
- * @param {object} apiClient - An instance of the ApiClient.
+ * @param {string|object} [client] - The name of a registered client or an ApiClient instance. Defaults to the default client.
  * @param {Array<object>} requests - An array of request configurations.
- * @returns {{data: Array|null, loading: boolean, error: Error|null}}
+ * @returns {{data: Array|null, status: Array|null, headers: Array|null, loading: boolean, error: Error|null}}
  */
-export const useParallelApi = (apiClient, requests = []) => {
+export const useParallelApi = (client, requests = []) => {
+  // `null` once the client is unregistered, which keeps the data and sends nothing, see `useResolvedClient`
+  const apiClient = useResolvedClient({client}, 'useParallelApi', useApiManager());
   const [data, setData] = useState(null);
+  const [responseMeta, setResponseMeta] = useState({status: null, headers: null});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const isMounted = useRef(true);
@@ -19,17 +24,24 @@ export const useParallelApi = (apiClient, requests = []) => {
     };
   }, []);
 
+  // Stringify the requests to create a stable dependency for the effect hook.
+  const requestKey = JSON.stringify(requests);
+
   useEffect(() => {
-    // Stringify the requests to create a stable dependency for the effect hook.
-    const requestKey = JSON.stringify(requests);
+    const abortController = new AbortController();
 
     const fetchData = async () => {
       setLoading(true);
       setError(null);
       try {
-        const responses = await apiClient.all(requests);
+        const responses = await apiClient.all(requests.map(request => ({...request, signal: abortController.signal, fullResponse: true})));
         if (isMounted.current) {
-          setData(responses);
+          // Aborted requests resolve to null, so their metadata is null as well.
+          setData(responses.map(fullResponse => fullResponse?.data ?? null));
+          setResponseMeta({
+            status: responses.map(fullResponse => fullResponse?.status ?? null),
+            headers: responses.map(fullResponse => fullResponse?.headers ?? null),
+          });
         }
       } catch (err) {
         if (isMounted.current) {
@@ -42,16 +54,16 @@ export const useParallelApi = (apiClient, requests = []) => {
       }
     };
 
-    if (requests.length > 0) {
+    if (requests.length > 0 && apiClient) {
       fetchData();
     } else {
       setLoading(false);
     }
 
     return () => {
-      apiClient.abort();
+      abortController.abort();
     };
   }, [apiClient, requestKey]);
 
-  return {data, loading, error};
+  return {data, status: responseMeta.status, headers: responseMeta.headers, loading, error};
 };
@@ -1,11 +1,18 @@
 // Core Client & Manager
-export {createApiClient, ApiError} from './libraries/ApiClient';
-export {manager as apiManager} from './services/ApiManager';
+export {createApiClient, ApiError, ApiTimeoutError} from './libraries/ApiClient';
+export {manager as apiManager, createApiManager} from './services/ApiManager';
+export {createOfflineQueue, createMemoryStorage, createManualConnectivity} from './libraries/OfflineQueue';
 
 // Core Hooks
 export {useApiBase} from './hooks/useApiBase';
 export {useScreenFocus} from './hooks/useScreenFocus';
 export {useParallelApi} from './hooks/useParallelApi';
+export {useMutation} from './hooks/useMutation';
+export {useOfflineQueue} from './hooks/useOfflineQueue';
+
+// Components
+export {ApiErrorBoundary, useApiErrorBoundary} from './components/ApiErrorBoundary';
+export {ApiManagerProvider, useApiManager} from './components/ApiManagerProvider';
 
 // Main Project-Facing Hook (aliased for convenience)
 export {useApiNavigation as useApi} from './hooks/useApiNavigation';
@@ -1,3 +1,5 @@
+import { stableStringify } from './QueryCache';
+
 /**
  * Custom error class for API-related errors with structured information.
  * 
@@ -11,12 +13,35 @@ export class ApiError extends Error {
    * @param {string} message - The error message
    * @param {number} status - The HTTP status code
    * @param {any} data - The parsed JSON error response from the server
+   * @param {Headers} [headers] - The response headers, when a response was received
    */
-  constructor(message, status, data) {
+  constructor(message, status, data, headers) {
     super(message);
     this.name = 'ApiError';
     this.status = status;
     this.data = data;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Error thrown when a request does not complete within its configured timeout.
+ * Unlike a manual abort, a timeout always rejects and is never converted to `null`.
+ * 
+ * @class ApiTimeoutError
+ * @extends {ApiError}
+ */
+export class ApiTimeoutError extends ApiError {
+  /**
+   * Creates an instance of ApiTimeoutError.
+   * 
+   * @param {string} message - The error message
+   * @param {number} timeout - The timeout in milliseconds that was exceeded
+   */
+  constructor(message, timeout) {
+    super(message, null, null);
+    this.name = 'ApiTimeoutError';
+    this.timeout = timeout;
   }
 }
 
@@ -74,7 +99,7 @@ const parseJsonSafely = (responseBody) => {
  * @param {string} [defaultMethod='GET'] - The default HTTP method to use
  * @returns {{method: string, endpoint: string}} Parsed method and endpoint
  */
-const parseUriAndMethod = (uri, defaultMethod = 'GET') => {
+export const parseUriAndMethod = (uri, defaultMethod = 'GET') => {
   const VALID_HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
   
   if (!uri.includes(':')) {
@@ -94,6 +119,259 @@ const parseUriAndMethod = (uri, defaultMethod = 'GET') => {
   return { method: defaultMethod.toUpperCase(), endpoint: uri };
 };
 
+/**
+ * HTTP methods that are safe to retry by default because repeating them has no additional side effects.
+ */
+const IDEMPOTENT_HTTP_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Built-in response parsers. `match` receives the lower-cased Content-Type header.
+ * The JSON parser is also the fallback when no parser matches or the header is missing.
+ */
+const jsonResponseParser = {
+  name: 'json',
+  match: contentType => contentType.includes('json'),
+  parse: async (response) => {
+    const responseBodyText = await response.text();
+    try {
+      return parseJsonSafely(responseBodyText);
+    } catch {
+      throw new ApiError(
+        'Invalid JSON response from server', 
+        response.status, 
+        responseBodyText,
+        response.headers
+      );
+    }
+  },
+};
+
+const BUILT_IN_RESPONSE_PARSERS = [
+  jsonResponseParser,
+  {
+    name: 'formData',
+    match: contentType => contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded'),
+    parse: response => response.formData(),
+  },
+  {
+    // Some backends send JSON as text/html, e.g. with PHP notices before the body, so JSON is tried first
+    name: 'html',
+    match: contentType => contentType.startsWith('text/html'),
+    parse: async (response) => {
+      const responseBodyText = await response.text();
+      try {
+        return parseJsonSafely(responseBodyText);
+      } catch {
+        return responseBodyText;
+      }
+    },
+  },
+  {
+    name: 'text',
+    match: contentType => contentType.startsWith('text/') || contentType.includes('xml'),
+    parse: response => response.text(),
+  },
+  {
+    name: 'blob',
+    match: contentType => /^(image|audio|video)\/|application\/(pdf|octet-stream|zip)/.test(contentType),
+    parse: response => response.blob(),
+  },
+  {
+    name: 'arrayBuffer',
+    match: () => false, // Only used when requested with `responseType: 'arrayBuffer'`
+    parse: response => response.arrayBuffer(),
+  },
+];
+
+/**
+ * Composes Koa-style middleware into a single middleware. Each one receives the request context and
+ * a `next` function that runs the rest of the chain and resolves with the response data.
+ * The list is read when the composed middleware runs, so later additions and removals apply to new requests only.
+ * Each middleware may call `next()` once; a second call rejects.
+ * 
+ * @param {Array<Function>} middlewares - Middleware functions `(context, next) => data`
+ * @returns {Function} A middleware that runs the whole list in order
+ */
+export const composeMiddleware = (middlewares) => (context, next) => {
+  const chain = [...middlewares];
+  let lastDispatchedIndex = -1;
+  const dispatch = (index) => {
+    // Calling `next()` twice would send the request again
+    if (index <= lastDispatchedIndex) return Promise.reject(new Error('next() called multiple times'));
+    lastDispatchedIndex = index;
+    if (index === chain.length) return Promise.resolve(next());
+    return Promise.resolve(chain[index](context, () => dispatch(index + 1)));
+  };
+  return dispatch(0);
+};
+
+/**
+ * Turns `onRequest` and `onResponse` interceptors into a middleware.
+ * Sources are run in order, so client interceptors run before per-request ones.
+ * 
+ * @param {Array<Object>} interceptorSources - Objects that may define `onRequest` and `onResponse`
+ * @returns {Function} The interceptor middleware
+ */
+const createInterceptorMiddleware = (interceptorSources) => async (context, next) => {
+  const requestContext = { uri: context.uri, options: context.options, requestId: context.requestId, tag: context.tag };
+
+  for (const source of interceptorSources) {
+    if (source?.onRequest) {
+      const result = await source.onRequest(context.request, requestContext);
+      if (result !== undefined) return result;
+    }
+  }
+
+  let responseData = await next();
+  for (const source of interceptorSources) {
+    if (source?.onResponse) {
+      responseData = await source.onResponse(responseData, context.response);
+    }
+  }
+  return responseData;
+};
+
+/**
+ * Client methods accepted by `all()`, with aliases for the HTTP method names they implement.
+ */
+const PARALLEL_CLIENT_METHODS = ['get', 'post', 'put', 'patch', 'del', 'head', 'options', 'upload'];
+const PARALLEL_METHOD_ALIASES = { delete: 'del' };
+
+/**
+ * Default retry policy. Retries are disabled unless `retry` is configured.
+ */
+const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelay: 300,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: true,
+  respectRetryAfter: true,
+};
+
+/**
+ * Creates an error matching the shape of the one fetch throws when a signal is aborted.
+ * 
+ * @returns {Error} An error with name 'AbortError'
+ */
+export const createAbortError = () => {
+  const error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Default retry predicate: network errors, timeouts, 408, 429 and 5xx responses on idempotent methods.
+ * 
+ * @param {Error} error - The error thrown by the attempt
+ * @param {{method: string}} retryContext - Information about the attempt
+ * @returns {boolean} True if the request should be retried
+ */
+const isRetryableByDefault = (error, { method }) => {
+  if (!IDEMPOTENT_HTTP_METHODS.includes(method)) return false;
+  if (!(error instanceof ApiError)) return true; // Network failure, no response received
+  if (error instanceof ApiTimeoutError) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+/**
+ * Merges client-level and request-level retry configuration into a single policy.
+ * Accepts `false` to disable, `true` for defaults, a number of attempts, or a policy object.
+ * 
+ * @param {boolean|number|Object} [clientRetry] - Retry configuration from createApiClient
+ * @param {boolean|number|Object} [requestRetry] - Retry configuration from the request options
+ * @returns {Object|null} The resolved policy, or null when retries are disabled
+ */
+const resolveRetryPolicy = (clientRetry, requestRetry) => {
+  const normalize = (retry) => {
+    if (retry === undefined || retry === null) return undefined;
+    if (retry === false) return false;
+    if (retry === true) return {};
+    if (typeof retry === 'number') return { attempts: retry };
+    return retry;
+  };
+
+  const clientPolicy = normalize(clientRetry);
+  const requestPolicy = normalize(requestRetry);
+
+  if (requestPolicy === false) return null;
+  if (!clientPolicy && !requestPolicy) return null;
+
+  return { ...DEFAULT_RETRY_POLICY, ...(clientPolicy || {}), ...(requestPolicy || {}) };
+};
+
+/**
+ * Reads a Retry-After header, which may contain either seconds or an HTTP date.
+ * 
+ * @param {Error} error - The error thrown by the attempt
+ * @returns {number|null} The delay in milliseconds, or null if the header is absent or invalid
+ */
+const parseRetryAfter = (error) => {
+  const retryAfter = error?.headers?.get?.('Retry-After');
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const retryDate = Date.parse(retryAfter);
+  if (Number.isNaN(retryDate)) return null;
+  return Math.max(0, retryDate - Date.now());
+};
+
+/**
+ * Decides whether a failed attempt should be retried and how long to wait before doing so.
+ * 
+ * @param {Object|null} retryPolicy - The resolved retry policy
+ * @param {Error} error - The error thrown by the attempt
+ * @param {{attempt: number, method: string, uri: string}} retryContext - Information about the attempt
+ * @returns {number|null} The delay in milliseconds, or null if the request should not be retried
+ */
+const getRetryDelay = (retryPolicy, error, retryContext) => {
+  if (!retryPolicy || error?.name === 'AbortError') return null;
+  if (retryContext.attempt >= retryPolicy.attempts) return null;
+
+  const shouldRetry = retryPolicy.shouldRetry || isRetryableByDefault;
+  if (!shouldRetry(error, retryContext)) return null;
+
+  const retryAfter = retryPolicy.respectRetryAfter ? parseRetryAfter(error) : null;
+  if (retryAfter !== null) return Math.min(retryAfter, retryPolicy.maxDelay);
+
+  const exponentialDelay = Math.min(
+    retryPolicy.maxDelay,
+    retryPolicy.baseDelay * Math.pow(retryPolicy.factor, retryContext.attempt - 1)
+  );
+  return retryPolicy.jitter ? Math.random() * exponentialDelay : exponentialDelay;
+};
+
+/**
+ * Waits before the next retry attempt, rejecting early if the request is aborted meanwhile.
+ * 
+ * @param {number} delay - The delay in milliseconds
+ * @param {AbortSignal} [signal] - The request's abort signal
+ * @returns {Promise<void>} Resolves when the delay has elapsed
+ */
+const waitForRetry = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    if (signal?.aborted) {
+      reject(createAbortError());
+    } else {
+      resolve();
+    }
+  }, delay);
+
+  signal?.addEventListener?.('abort', onAbort);
+});
+
 /**
  * Creates a configured instance of the API Client with fetch-based HTTP functionality.
  * 
@@ -101,17 +379,158 @@ const parseUriAndMethod = (uri, defaultMethod = 'GET') => {
  * @param {string} config.baseUrl - Base URL for all requests
  * @param {Object} [config.headers] - Default headers to include with requests
  * @param {Function} [config.getDynamicHeaders] - Async function to get dynamic headers
- * @param {Object} [config.interceptors] - Request/response interceptors
+ * @param {Object} [config.interceptors] - Request/response interceptors, run as the first middleware
  * @param {Function} [config.interceptors.onRequest] - Request interceptor
  * @param {Function} [config.interceptors.onResponse] - Response interceptor
- * @param {Function} [config.interceptors.onError] - Error interceptor
- * @param {Function} [config.interceptors.onFinally] - Finally interceptor
+ * @param {Function} [config.interceptors.onError] - Error interceptor `(error, outcomeContext) => data`
+ * @param {Function} [config.interceptors.onFinally] - Finally interceptor `(outcomeContext) => void`
  * @param {boolean} [config.returnNullOnAbort=true] - Return null when request is aborted
+ * @param {boolean|number|Object} [config.retry] - Retry policy for failed requests, disabled by default
+ * @param {number} [config.retry.attempts=3] - Maximum number of attempts, including the first one
+ * @param {number} [config.retry.baseDelay=300] - Delay before the first retry in milliseconds
+ * @param {number} [config.retry.maxDelay=10000] - Upper bound for any retry delay in milliseconds
+ * @param {number} [config.retry.factor=2] - Exponential backoff multiplier
+ * @param {boolean} [config.retry.jitter=true] - Randomize delays to avoid synchronized retries
+ * @param {boolean} [config.retry.respectRetryAfter=true] - Use the Retry-After header when present
+ * @param {Function} [config.retry.shouldRetry] - Predicate `(error, {attempt, method, uri}) => boolean`
+ * @param {number} [config.timeout] - Time in milliseconds after which each attempt fails with ApiTimeoutError
+ * @param {boolean} [config.dedupe=true] - Share one network call between identical concurrent requests
+ * @param {boolean} [config.fullResponse=false] - Resolve every request with `{data, status, headers, url, durationMs}`
+ * @param {Array<Object>} [config.parsers] - Custom response parsers `{name, match(contentType), parse(response)}`
+ * @param {Array<Function>} [config.middleware] - Koa-style middleware `(context, next) => data`, see `use`
+ * @param {Object} [config.auth] - Bearer token handling with automatic refresh on 401 responses
+ * @param {Function} config.auth.getAccessToken - Returns the current access token, may be async
+ * @param {Function} [config.auth.refreshToken] - Obtains and stores a new token. Runs once for concurrent 401 responses
+ * @param {Function} [config.auth.onAuthFailure] - Called with the error when the refresh fails or the replayed request is rejected
+ * @param {string} [config.auth.headerName='Authorization'] - Header that carries the token
+ * @param {string} [config.auth.scheme='Bearer'] - Prefix of the header value, omitted when empty
  * @returns {Object} Configured API client instance
  */
 export const createApiClient = (config = {}) => {
-  let abortController = new AbortController();
+  const inFlightRequests = new Map();
+  const sharedRequests = new Map();
   const dynamicHeaders = new Map();
+  const customParsers = [...(config.parsers || [])];
+  const middlewares = [...(config.middleware || [])];
+  let requestCounter = 0;
+  let tokenRefreshPromise = null;
+
+  /**
+   * Creates a cancellation handle for a single request and tracks it until it settles.
+   * An external `signal` is linked so that aborting it also aborts this request.
+   * 
+   * @param {Object} handleOptions - Handle options
+   * @param {string} [handleOptions.requestId] - Explicit request id, generated when omitted
+   * @param {string} [handleOptions.tag] - Tag used to cancel groups of requests
+   * @param {AbortSignal} [handleOptions.signal] - External signal to follow
+   * @returns {{requestId: string, tag: string|undefined, controller: AbortController, abort: Function, onAbort: Function, release: Function}} The request handle
+   */
+  const createRequestHandle = ({ requestId, tag, signal } = {}) => {
+    const controller = new AbortController();
+    const abortListeners = new Set();
+    const handle = {
+      requestId: requestId !== undefined ? String(requestId) : `request-${++requestCounter}`,
+      tag,
+      controller,
+    };
+
+    handle.abort = () => {
+      controller.abort();
+      abortListeners.forEach(listener => listener());
+      abortListeners.clear();
+    };
+    handle.onAbort = (listener) => abortListeners.add(listener);
+
+    const abortFromSignal = () => handle.abort();
+    if (signal?.aborted) {
+      controller.abort();
+    } else if (signal?.addEventListener) {
+      signal.addEventListener('abort', abortFromSignal);
+    }
+
+    handle.release = () => {
+      if (inFlightRequests.get(handle.requestId) === handle) {
+        inFlightRequests.delete(handle.requestId);
+      }
+      abortListeners.clear();
+      signal?.removeEventListener?.('abort', abortFromSignal);
+    };
+
+    inFlightRequests.set(handle.requestId, handle);
+    return handle;
+  };
+
+  /**
+   * Joins an identical in-flight request, or starts it if there is none.
+   * Every caller keeps its own handle: aborting one caller only cancels the network call
+   * once no other caller is waiting for it.
+   * 
+   * @param {string} dedupeKey - Identity of the request
+   * @param {Object} requestHandle - The caller's handle
+   * @param {Function} startRequest - Starts the network call given the shared handle
+   * @returns {Promise<any>} The shared response data
+   */
+  const joinSharedRequest = (dedupeKey, requestHandle, startRequest) => {
+    let sharedRequest = sharedRequests.get(dedupeKey);
+
+    if (!sharedRequest) {
+      const sharedController = new AbortController();
+      sharedRequest = {
+        subscribers: new Set(),
+        handle: {
+          requestId: requestHandle.requestId,
+          tag: requestHandle.tag,
+          controller: sharedController,
+          release: () => {},
+        },
+      };
+      const currentRequest = sharedRequest;
+      sharedRequest.promise = startRequest(sharedRequest.handle).finally(() => {
+        if (sharedRequests.get(dedupeKey) === currentRequest) sharedRequests.delete(dedupeKey);
+      });
+      sharedRequests.set(dedupeKey, sharedRequest);
+    }
+
+    const { subscribers, handle: sharedHandle, promise: sharedPromise } = sharedRequest;
+    subscribers.add(requestHandle);
+
+    return new Promise((resolve, reject) => {
+      const detach = () => {
+        subscribers.delete(requestHandle);
+        requestHandle.release();
+      };
+
+      const onSubscriberAbort = () => {
+        detach();
+        if (subscribers.size === 0) {
+          sharedHandle.controller.abort();
+          if (sharedRequests.get(dedupeKey) === sharedRequest) sharedRequests.delete(dedupeKey);
+        }
+        if (config.returnNullOnAbort !== false) {
+          resolve(null);
+        } else {
+          reject(createAbortError());
+        }
+      };
+
+      if (requestHandle.controller.signal.aborted) {
+        onSubscriberAbort();
+        return;
+      }
+      requestHandle.onAbort(onSubscriberAbort);
+
+      sharedPromise.then(
+        (data) => {
+          detach();
+          resolve(data);
+        },
+        (error) => {
+          detach();
+          reject(error);
+        }
+      );
+    });
+  };
 
   /**
    * Builds the full URL by combining base URL and endpoint.
@@ -168,90 +587,324 @@ export const createApiClient = (config = {}) => {
     return headers;
   };
 
+  /**
+   * Sets the access token header from `config.auth.getAccessToken`.
+   * 
+   * @param {Headers} headers - The request headers to update
+   * @returns {Promise<string|null>} The token that was sent, or null if there was none
+   */
+  const applyAccessToken = async (headers) => {
+    const { getAccessToken, headerName = 'Authorization', scheme = 'Bearer' } = config.auth;
+    const accessToken = await getAccessToken();
+
+    if (accessToken) {
+      headers.set(headerName, scheme ? `${scheme} ${accessToken}` : accessToken);
+    } else {
+      headers.delete(headerName);
+    }
+
+    return accessToken || null;
+  };
+
+  /**
+   * Refreshes the access token. Concurrent callers share a single `refreshToken` call.
+   * When the refresh fails, `onAuthFailure` runs once and every waiting request rejects with `authError`.
+   * 
+   * @param {ApiError} authError - The 401 error that triggered the refresh
+   * @returns {Promise<void>} Resolves once the new token is available
+   */
+  const refreshAccessToken = (authError) => {
+    if (!tokenRefreshPromise) {
+      tokenRefreshPromise = Promise.resolve()
+        .then(() => config.auth.refreshToken())
+        .catch(async (refreshError) => {
+          await config.auth.onAuthFailure?.(refreshError);
+          throw authError;
+        })
+        .finally(() => {
+          tokenRefreshPromise = null;
+        });
+    }
+    return tokenRefreshPromise;
+  };
+
+  /**
+   * Finds the parser registered under a response type name. Custom parsers take precedence.
+   * 
+   * @param {string} responseType - The parser name, e.g. 'json', 'blob' or a custom name
+   * @returns {Object} The parser
+   * @throws {Error} If no parser has that name
+   */
+  const getNamedParser = (responseType) => {
+    const parser = [...customParsers, ...BUILT_IN_RESPONSE_PARSERS].find(candidate => candidate.name === responseType);
+    if (!parser) {
+      throw new Error(`Unknown responseType '${responseType}'`);
+    }
+    return parser;
+  };
+
+  /**
+   * Picks a parser from the response Content-Type. Custom parsers are checked first.
+   * 
+   * @param {Response} response - The fetch response
+   * @returns {Object} The parser, falling back to JSON
+   */
+  const getParserForResponse = (response) => {
+    const contentType = (response.headers?.get?.('Content-Type') || '').toLowerCase();
+    if (!contentType) return jsonResponseParser;
+
+    const parser = [...customParsers, ...BUILT_IN_RESPONSE_PARSERS].find(candidate => candidate.match?.(contentType));
+    return parser || jsonResponseParser;
+  };
+
+  /**
+   * Performs a single fetch attempt and parses the response body.
+   * 
+   * @param {string} fullUrl - The URL to fetch
+   * @param {Object} fetchOptions - Options passed to fetch
+   * @param {Object} [responseParser] - Parser to use, chosen from the Content-Type when omitted
+   * @returns {Promise<{response: Response, responseData: any}>} The raw response and parsed body
+   * @throws {ApiError} If the body cannot be parsed or the status is not successful
+   */
+  const executeFetch = async (fullUrl, fetchOptions, responseParser) => {
+    let response;
+    try {
+      response = await fetch(fullUrl, fetchOptions);
+    } catch (fetchError) {
+      // fetch rejects with a TypeError when the server could not be reached. Errors thrown once a response
+      // arrived, e.g. by a parser, are not tagged, as the server may already have handled the request.
+      if (fetchError instanceof TypeError) fetchError.isNetworkError = true;
+      throw fetchError;
+    }
+
+    // HEAD responses have no body, so resolve with the status and headers instead
+    if (fetchOptions.method === 'HEAD') {
+      if (!response.ok) {
+        throw new ApiError(`Request failed with status ${response.status}`, response.status, null, response.headers);
+      }
+      return { response, responseData: { status: response.status, ok: response.ok, headers: response.headers } };
+    }
+
+    // Parse response body
+    const parser = responseParser || getParserForResponse(response);
+    const responseData = await parser.parse(response, { url: fullUrl, method: fetchOptions.method });
+
+    // Check for HTTP errors
+    if (!response.ok) {
+      throw new ApiError(
+        responseData?.message || `Request failed with status ${response.status}`, 
+        response.status, 
+        responseData,
+        response.headers
+      );
+    }
+
+    return { response, responseData };
+  };
+
+  /**
+   * Performs a single fetch attempt that fails with ApiTimeoutError if it exceeds the timeout.
+   * The attempt gets its own signal so a timeout does not cancel subsequent retry attempts.
+   * 
+   * @param {string} fullUrl - The URL to fetch
+   * @param {Object} fetchOptions - Options passed to fetch
+   * @param {number} [timeout] - Timeout in milliseconds, no timeout when omitted
+   * @param {Object} [responseParser] - Parser to use, chosen from the Content-Type when omitted
+   * @returns {Promise<{response: Response, responseData: any}>} The raw response and parsed body
+   * @throws {ApiTimeoutError} If the attempt does not complete in time
+   */
+  const executeFetchWithTimeout = async (fullUrl, fetchOptions, timeout, responseParser) => {
+    if (!timeout) return executeFetch(fullUrl, fetchOptions, responseParser);
+
+    const attemptController = new AbortController();
+    const requestSignal = fetchOptions.signal;
+    const abortAttempt = () => attemptController.abort();
+    if (requestSignal?.aborted) {
+      attemptController.abort();
+    } else {
+      requestSignal?.addEventListener?.('abort', abortAttempt);
+    }
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new ApiTimeoutError(`Request timed out after ${timeout}ms`, timeout));
+        attemptController.abort();
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([
+        executeFetch(fullUrl, { ...fetchOptions, signal: attemptController.signal }, responseParser),
+        timeoutPromise,
+      ]);
+    } finally {
+      clearTimeout(timer);
+      requestSignal?.removeEventListener?.('abort', abortAttempt);
+    }
+  };
+
   /**
    * Internal function to send HTTP requests with full interceptor support.
    * 
    * @param {string} uri - The URI to send the request to
    * @param {Object} requestOptions - Options for the request
-   * @returns {Promise<any>} The response data
+   * @param {Object} requestHandle - The cancellation handle created by createRequestHandle
+   * @returns {Promise<any>} The response data, or `{data, status, headers, url, durationMs}` in full response mode
    */
-  const sendRequest = async (uri, requestOptions = {}) => {
-    const requestContext = { uri, options: requestOptions };
+  const sendRequest = async (uri, requestOptions, requestHandle) => {
+    const { retry, timeout, responseType, fullResponse, auth, ...fetchableOptions } = requestOptions;
+    const usesAuth = Boolean(config.auth) && auth !== false;
+    const { method } = parseUriAndMethod(uri, requestOptions.method);
+    const requestStartedAt = Date.now();
+    const isFullResponse = fullResponse ?? config.fullResponse;
+    let attemptCount = 0;
+    let outcome = 'success';
+    let requestUrl = null;
+
+    /**
+     * Wraps data in the full response shape. Values that didn't come from a response, such as short-circuits
+     * and error interceptor fallbacks, have a null `status` and `headers`.
+     * 
+     * @param {any} data - The response data
+     * @param {Response|null} response - The fetch response the data was read from
+     * @param {number} startedAt - When the duration started
+     * @returns {{data: any, status: number|null, headers: Headers|null, url: string|null, durationMs: number}} The full response
+     */
+    const toFullResponse = (data, response, startedAt) => ({
+      data,
+      status: response?.status ?? null,
+      headers: response?.headers ?? null,
+      url: response?.url || requestUrl,
+      durationMs: Date.now() - startedAt,
+    });
+
+    /**
+     * Describes the request for the error and finally interceptors.
+     * 
+     * @returns {{uri: string, method: string, options: Object, requestId: string, tag: string, attempt: number, durationMs: number, outcome: string}} The outcome context
+     */
+    const getOutcomeContext = () => ({
+      uri,
+      method,
+      options: requestOptions,
+      requestId: requestHandle.requestId,
+      tag: requestHandle.tag,
+      attempt: attemptCount,
+      durationMs: Date.now() - requestStartedAt,
+      outcome,
+    });
 
     try {
-      const { method, endpoint } = parseUriAndMethod(uri, requestOptions.method);
+      const responseParser = responseType ? getNamedParser(responseType) : null;
+      const { endpoint } = parseUriAndMethod(uri, requestOptions.method);
       const fullUrl = buildFullUrl(config.baseUrl, endpoint);
+      requestUrl = fullUrl;
       const requestHeaders = await buildRequestHeaders(config, requestOptions, dynamicHeaders);
-      
-      let fetchOptions = {
-        ...requestOptions,
+
+      // Requests started during a token refresh wait for the new token instead of failing with 401
+      let accessToken = null;
+      if (usesAuth) {
+        if (tokenRefreshPromise) await tokenRefreshPromise;
+        accessToken = await applyAccessToken(requestHeaders);
+      }
+
+      // Middleware may change `url` and `request`, and reads `response` once `next()` resolves
+      const retryHandlers = [];
+      const context = {
+        uri,
         method,
-        headers: requestHeaders,
-        signal: abortController.signal
+        url: fullUrl,
+        options: requestOptions,
+        requestId: requestHandle.requestId,
+        tag: requestHandle.tag,
+        request: {
+          ...fetchableOptions,
+          method,
+          headers: requestHeaders,
+          signal: requestHandle.controller.signal
+        },
+        response: null,
+        onRetry: (handler) => {
+          retryHandlers.push(handler);
+        },
       };
 
-      // Run request interceptors
-      if (config.interceptors?.onRequest) {
-        const result = await config.interceptors.onRequest(fetchOptions, requestContext);
-        if (result !== undefined) return result;
-      }
-      if (requestOptions.onRequest) {
-        const result = await requestOptions.onRequest(fetchOptions, requestContext);
-        if (result !== undefined) return result;
-      }
+      // Make the HTTP request, retrying failed attempts according to the retry policy
+      const retryPolicy = resolveRetryPolicy(config.retry, retry);
+      const fetchWithRetries = async () => {
+        for (let attempt = 1; ; attempt++) {
+          attemptCount += 1;
+          try {
+            return await executeFetchWithTimeout(context.url, context.request, timeout ?? config.timeout, responseParser);
+          } catch (attemptError) {
+            const retryDelay = getRetryDelay(retryPolicy, attemptError, { attempt, method, uri });
+            if (retryDelay === null) throw attemptError;
+            retryHandlers.forEach(handler => handler({ attempt: attempt + 1, delay: retryDelay, error: attemptError }));
+            await waitForRetry(retryDelay, context.request.signal);
+          }
+        }
+      };
 
-      // Make the HTTP request
-      const response = await fetch(fullUrl, fetchOptions);
-      const responseBodyText = await response.text();
-      
-      // Parse response body
-      let responseData;
-      try {
-        responseData = parseJsonSafely(responseBodyText);
-      } catch (parseError) {
-        throw new ApiError(
-          'Invalid JSON response from server', 
-          response.status, 
-          responseBodyText
-        );
-      }
+      // Innermost step of the middleware chain: fetch with retries, refreshing the token once on 401
+      const fetchResponse = async () => {
+        let result;
+        try {
+          result = await fetchWithRetries();
+        } catch (fetchError) {
+          if (!usesAuth || fetchError.status !== 401) throw fetchError;
+          if (!config.auth.refreshToken) {
+            await config.auth.onAuthFailure?.(fetchError);
+            throw fetchError;
+          }
 
-      // Check for HTTP errors
-      if (!response.ok) {
-        throw new ApiError(
-          responseData?.message || `Request failed with status ${response.status}`, 
-          response.status, 
-          responseData
-        );
-      }
+          // Refresh unless another request already did so after this one was sent, then replay once
+          if ((await config.auth.getAccessToken()) === accessToken) {
+            await refreshAccessToken(fetchError);
+          }
+          await applyAccessToken(context.request.headers);
 
-      // Run response interceptors
-      let finalData = responseData;
-      if (config.interceptors?.onResponse) {
-        finalData = await config.interceptors.onResponse(finalData, response);
-      }
-      if (requestOptions.onResponse) {
-        finalData = await requestOptions.onResponse(finalData, response);
-      }
+          try {
+            result = await fetchWithRetries();
+          } catch (replayError) {
+            if (replayError.status === 401) await config.auth.onAuthFailure?.(replayError);
+            throw replayError;
+          }
+        }
+
+        context.response = result.response;
+        return result.responseData;
+      };
 
-      return finalData;
+      const startedAt = Date.now();
+      const runMiddleware = composeMiddleware([createInterceptorMiddleware([config.interceptors, requestOptions]), ...middlewares]);
+      const finalData = await runMiddleware(context, fetchResponse);
+
+      requestUrl = context.url;
+      return isFullResponse ? toFullResponse(finalData, context.response, startedAt) : finalData;
       
     } catch (error) {
       // Handle abort errors
       if (error.name === 'AbortError') {
+        outcome = 'abort';
         if (config.returnNullOnAbort !== false) return null;
+      } else {
+        outcome = 'error';
       }
 
       // Run error interceptors
       if (config.interceptors?.onError) {
-        return config.interceptors.onError(error);
+        const fallbackData = await config.interceptors.onError(error, getOutcomeContext());
+        return isFullResponse ? toFullResponse(fallbackData, null, requestStartedAt) : fallbackData;
       }
       
       throw error;
     } finally {
+      requestHandle.release();
+
       // Run finally interceptors
       if (config.interceptors?.onFinally) {
-        await config.interceptors.onFinally();
+        await config.interceptors.onFinally(getOutcomeContext());
       }
     }
   };
@@ -259,11 +912,105 @@ export const createApiClient = (config = {}) => {
   // Public API client interface
   const apiClient = {
     /**
-     * Aborts the current request and creates a new AbortController.
+     * Aborts every in-flight request made by this client.
      */
     abort: () => {
-      abortController.abort();
-      abortController = new AbortController();
+      Array.from(inFlightRequests.values()).forEach(handle => handle.abort());
+    },
+
+    /**
+     * Aborts a single in-flight request by its id.
+     * 
+     * @param {string} requestId - The id exposed as `promise.requestId` or passed via `options.requestId`
+     * @returns {boolean} True if a matching in-flight request was aborted
+     */
+    abortRequest: (requestId) => {
+      const handle = inFlightRequests.get(String(requestId));
+      if (!handle) return false;
+      handle.abort();
+      return true;
+    },
+
+    /**
+     * Aborts every in-flight request that was made with the given tag.
+     * 
+     * @param {string} tag - The tag passed via `options.tag`
+     * @returns {number} The number of requests aborted
+     */
+    abortByTag: (tag) => {
+      const handles = Array.from(inFlightRequests.values()).filter(handle => handle.tag === tag);
+      handles.forEach(handle => handle.abort());
+      return handles.length;
+    },
+
+    /**
+     * Updates the configuration for requests made from now on, e.g. the `baseUrl` when switching
+     * environments. `headers` are merged into the current headers, and a header set to `undefined`
+     * is removed. Every other option replaces its current value. Requests in flight are not affected.
+     * 
+     * @param {Object} partialConfig - The options to change, see createApiClient
+     * @throws {Error} If it contains `parsers` or `middleware`, which are changed with `registerParser` and `use`
+     */
+    configure: (partialConfig = {}) => {
+      if ('parsers' in partialConfig || 'middleware' in partialConfig) {
+        throw new Error('Parsers and middleware cannot be changed with configure, use registerParser and use instead');
+      }
+
+      const { headers, ...options } = partialConfig;
+      const nextConfig = { ...config, ...options };
+      if (headers) {
+        const mergedHeaders = { ...config.headers };
+        Object.entries(headers).forEach(([key, value]) => {
+          // Header names are case-insensitive, so any spelling of the name is replaced
+          Object.keys(mergedHeaders)
+            .filter(name => name.toLowerCase() === key.toLowerCase())
+            .forEach(name => delete mergedHeaders[name]);
+          if (value !== undefined) mergedHeaders[key] = value;
+        });
+        nextConfig.headers = mergedHeaders;
+      }
+      config = nextConfig;
+    },
+
+    /**
+     * Adds a Koa-style middleware. Middleware runs in the order it was added, after the `interceptors`,
+     * and wraps the network call including retries and token refresh. Return a value without calling
+     * `next()` to short-circuit the request.
+     * 
+     * @param {Function} middleware - `async (context, next) => data`. The context has `uri`, `method`, `url`,
+     *   `options`, `requestId`, `tag`, the fetch options as `request` and, after `next()`, the `response`.
+     *   `context.onRetry(handler)` registers `handler({attempt, delay, error})`, called before each retry
+     * @returns {Function} Function that removes the middleware
+     */
+    use: (middleware) => {
+      if (typeof middleware !== 'function') {
+        throw new Error('Middleware must be a function');
+      }
+      middlewares.push(middleware);
+      return () => {
+        const index = middlewares.indexOf(middleware);
+        if (index !== -1) middlewares.splice(index, 1);
+      };
+    },
+
+    /**
+     * Registers a custom response parser. It takes precedence over built-in and previously registered parsers.
+     * 
+     * @param {Object} parser - The parser
+     * @param {string} parser.name - Name used to select it with `responseType`
+     * @param {Function} [parser.match] - `(contentType) => boolean`, selects the parser automatically
+     * @param {Function} parser.parse - `(response, {url, method}) => data`, may be async
+     * @returns {Function} Function that unregisters the parser
+     */
+    registerParser: (parser) => {
+      if (!parser?.name || typeof parser.parse !== 'function') {
+        throw new Error('A response parser needs a name and a parse function');
+      }
+      customParsers.unshift(parser);
+      return () => {
+        const index = customParsers.indexOf(parser);
+        if (index !== -1) customParsers.splice(index, 1);
+      };
     },
 
     /**
@@ -294,20 +1041,31 @@ export const createApiClient = (config = {}) => {
      * @param {Object} [options.params] - Query parameters to append to URL
      * @param {any} [options.body] - Request body data
      * @param {Object} [options.headers] - Request-specific headers
-     * @returns {Promise<any>} The response data
+     * @param {AbortSignal} [options.signal] - External signal that aborts this request
+     * @param {string} [options.requestId] - Explicit id for cancelling via abortRequest
+     * @param {string} [options.tag] - Tag for cancelling a group of requests via abortByTag
+     * @param {boolean|number|Object} [options.retry] - Retry policy for this request, merged over the client's
+     * @param {number} [options.timeout] - Timeout in milliseconds for this request, overrides the client's
+     * @param {boolean} [options.dedupe] - Share the network call with identical in-flight requests, overrides the client's
+     * @param {boolean} [options.auth] - Set to false to send the request without the access token and 401 handling
+     * @param {boolean} [options.fullResponse] - Resolve with `{data, status, headers, url, durationMs}`, overrides the client's
+     * @param {string} [options.responseType] - Parser name ('json', 'html', 'text', 'blob', 'arrayBuffer', 'formData' or custom)
+     * @returns {Promise<any>} The response data, with `requestId` and `abort()` attached to the promise
      */
     request: (uri, options = {}) => {
-      const { body, params, ...restOptions } = options;
+      const { body, params, signal, requestId, tag, dedupe, ...restOptions } = options;
 
       let requestUri = uri;
       
       // Add query parameters if provided
       if (params) {
         const queryString = new URLSearchParams(params).toString();
-        const { endpoint } = parseUriAndMethod(uri, options.method);
-        const uriParts = uri.split(':');
-        const methodPrefix = uriParts.length > 1 ? `${uriParts[0]}:` : '';
-        requestUri = `${methodPrefix}${endpoint}?${queryString}`;
+        if (queryString) {
+          const { endpoint } = parseUriAndMethod(uri, options.method);
+          const uriParts = uri.split(':');
+          const methodPrefix = uriParts.length > 1 ? `${uriParts[0]}:` : '';
+          requestUri = `${methodPrefix}${endpoint}?${queryString}`;
+        }
       }
 
       // Prepare request body
@@ -316,10 +1074,27 @@ export const createApiClient = (config = {}) => {
         requestBody = body instanceof FormData ? body : JSON.stringify(body);
       }
 
-      return sendRequest(requestUri, {
-        ...restOptions,
-        body: requestBody,
-      });
+      const requestHandle = createRequestHandle({ requestId, tag, signal });
+      const sendOptions = { ...restOptions, body: requestBody };
+
+      // Identical concurrent requests share one network call. FormData bodies and per-request interceptors can't be compared.
+      let requestPromise;
+      const hasOwnInterceptors = Boolean(restOptions.onRequest || restOptions.onResponse);
+      if ((dedupe ?? config.dedupe) !== false && !(requestBody instanceof FormData) && !hasOwnInterceptors) {
+        const { method } = parseUriAndMethod(requestUri, restOptions.method);
+        const { headers, responseType, fullResponse, auth, retry, timeout } = restOptions;
+        const dedupeKey = `${method} ${requestUri} ${requestBody ?? ''} ${stableStringify({ headers, responseType, fullResponse, auth, retry, timeout })}`;
+        requestPromise = joinSharedRequest(dedupeKey, requestHandle, sharedHandle =>
+          sendRequest(requestUri, sendOptions, sharedHandle)
+        );
+      } else {
+        requestPromise = sendRequest(requestUri, sendOptions, requestHandle);
+      }
+
+      requestPromise.requestId = requestHandle.requestId;
+      requestPromise.abort = () => requestHandle.abort();
+
+      return requestPromise;
     },
 
     /**
@@ -355,6 +1130,17 @@ export const createApiClient = (config = {}) => {
     put: (uri, body, options) => 
       apiClient.request(uri, { body, ...options, method: 'PUT' }),
 
+    /**
+     * Makes a PATCH request.
+     * 
+     * @param {string} uri - The URI to request
+     * @param {any} [body] - Request body data
+     * @param {Object} [options] - Additional request options
+     * @returns {Promise<any>} The response data
+     */
+    patch: (uri, body, options) => 
+      apiClient.request(uri, { body, ...options, method: 'PATCH' }),
+
     /**
      * Makes a DELETE request.
      * 
@@ -365,6 +1151,28 @@ export const createApiClient = (config = {}) => {
     del: (uri, options) => 
       apiClient.request(uri, { ...options, method: 'DELETE' }),
 
+    /**
+     * Makes a HEAD request. Resolves with the response status and headers instead of a parsed body.
+     * 
+     * @param {string} uri - The URI to request
+     * @param {Object} [params] - Query parameters
+     * @param {Object} [options] - Additional request options
+     * @returns {Promise<{status: number, ok: boolean, headers: Headers}>} The response status and headers
+     */
+    head: (uri, params, options) => 
+      apiClient.request(uri, { params, ...options, method: 'HEAD' }),
+
+    /**
+     * Makes an OPTIONS request.
+     * 
+     * @param {string} uri - The URI to request
+     * @param {Object} [params] - Query parameters
+     * @param {Object} [options] - Additional request options
+     * @returns {Promise<any>} The response data
+     */
+    options: (uri, params, options) => 
+      apiClient.request(uri, { params, ...options, method: 'OPTIONS' }),
+
     /**
      * Uploads files using FormData.
      * 
@@ -385,20 +1193,28 @@ export const createApiClient = (config = {}) => {
      * Executes multiple requests in parallel using Promise.all.
      * 
      * @param {Array<Object>} requests - Array of request configurations
-     * @param {string} requests[].method - HTTP method (get, post, put, delete)
+     * @param {string} requests[].method - HTTP method (get, post, put, patch, delete/del, head, options, upload)
      * @param {string} requests[].uri - Request URI
-     * @param {Object} [requests[].params] - Query parameters (for GET)
-     * @param {any} [requests[].body] - Request body (for POST/PUT)
+     * @param {Object} [requests[].params] - Query parameters (for GET, HEAD, OPTIONS and DELETE)
+     * @param {any} [requests[].body] - Request body (for POST, PUT, PATCH and upload)
      * @returns {Promise<Array>} Array of response data in the same order as requests
      */
     all: (requests) => {
       const requestPromises = requests.map((requestConfig) => {
         const { method = 'get', uri, ...requestOptions } = requestConfig;
         const lowerMethod = method.toLowerCase();
+        const clientMethod = PARALLEL_METHOD_ALIASES[lowerMethod] || lowerMethod;
         
-        if (apiClient[lowerMethod]) {
+        if (PARALLEL_CLIENT_METHODS.includes(clientMethod)) {
+          if (clientMethod === 'del') {
+            return apiClient.del(uri, requestOptions);
+          }
+          if (clientMethod === 'upload') {
+            const { body, ...uploadOptions } = requestOptions;
+            return apiClient.upload(uri, body, uploadOptions);
+          }
           const payload = requestOptions.params || requestOptions.body;
-          return apiClient[lowerMethod](uri, payload, requestOptions);
+          return apiClient[clientMethod](uri, payload, requestOptions);
         }
         
         return Promise.reject(
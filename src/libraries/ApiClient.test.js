@@ -3,7 +3,7 @@
  * @author Alan Chen
  */
 
-import { createApiClient, ApiError } from './ApiClient';
+import { createApiClient, ApiError, ApiTimeoutError } from './ApiClient';
 
 // Mock global dependencies
 // Create a proper FormData mock that passes instanceof checks
@@ -123,6 +123,16 @@ describe('ApiError', () => {
   });
 });
 
+describe('ApiTimeoutError', () => {
+  it('should be an ApiError carrying the exceeded timeout', () => {
+    const error = new ApiTimeoutError('Timed out', 5000);
+    
+    expect(error.name).toBe('ApiTimeoutError');
+    expect(error.timeout).toBe(5000);
+    expect(error instanceof ApiError).toBe(true);
+  });
+});
+
 describe('createApiClient', () => {
 
   describe('Basic Configuration', () => {
@@ -132,11 +142,16 @@ describe('createApiClient', () => {
       expect(client).toHaveProperty('get');
       expect(client).toHaveProperty('post');
       expect(client).toHaveProperty('put');
+      expect(client).toHaveProperty('patch');
       expect(client).toHaveProperty('del');
+      expect(client).toHaveProperty('head');
+      expect(client).toHaveProperty('options');
       expect(client).toHaveProperty('upload');
       expect(client).toHaveProperty('all');
       expect(client).toHaveProperty('request');
       expect(client).toHaveProperty('abort');
+      expect(client).toHaveProperty('registerParser');
+      expect(client).toHaveProperty('use');
       expect(client).toHaveProperty('setHeader');
       expect(client).toHaveProperty('unsetHeader');
       expect(client).toHaveProperty('clearHeaders');
@@ -201,6 +216,13 @@ describe('createApiClient', () => {
       expect(result).toEqual({ users: [] });
     });
 
+    it('should not append a query string for empty params', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      await client.get('/users', {});
+
+      expect(fetchSpy).toHaveBeenCalledWith('https://api.example.com/users', expect.any(Object));
+    });
+
     it('should include default and custom headers in GET request', async () => {
       const client = createApiClient({ 
         baseUrl: 'https://api.example.com',
@@ -390,7 +412,129 @@ describe('createApiClient', () => {
     });
   });
 
+  describe('PATCH, HEAD and OPTIONS Requests', () => {
+    it('should make a PATCH request with a JSON body', async () => {
+      fetchSpy.mockResolvedValue({
+        ok: true,
+        status: 200,
+        text: () => Promise.resolve('{"id": 1, "name": "Jane"}'),
+      });
+
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      const result = await client.patch('/users/1', { name: 'Jane' });
+
+      expect(fetchSpy).toHaveBeenCalledWith(
+        'https://api.example.com/users/1',
+        expect.objectContaining({
+          method: 'PATCH',
+          body: JSON.stringify({ name: 'Jane' }),
+        })
+      );
+      expect(result).toEqual({ id: 1, name: 'Jane' });
+    });
+
+    it('should resolve HEAD requests with status and headers without parsing a body', async () => {
+      const responseHeaders = { get: jest.fn(() => '"etag-1"') };
+      const text = jest.fn(() => Promise.resolve(''));
+      fetchSpy.mockResolvedValue({ ok: true, status: 200, headers: responseHeaders, text });
+
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      const result = await client.head('/files/1', { version: 2 });
+
+      expect(fetchSpy).toHaveBeenCalledWith(
+        'https://api.example.com/files/1?version=2',
+        expect.objectContaining({ method: 'HEAD' })
+      );
+      expect(result).toEqual({ status: 200, ok: true, headers: responseHeaders });
+      expect(text).not.toHaveBeenCalled();
+    });
+
+    it('should throw ApiError for failed HEAD requests', async () => {
+      fetchSpy.mockResolvedValue({ ok: false, status: 404, headers: { get: jest.fn() }, text: jest.fn() });
+
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      const error = await client.head('/files/missing').catch(err => err);
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(404);
+    });
+
+    it('should make an OPTIONS request', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      await client.options('/users');
+
+      expect(fetchSpy).toHaveBeenCalledWith(
+        'https://api.example.com/users',
+        expect.objectContaining({ method: 'OPTIONS' })
+      );
+    });
+  });
+
+  describe('Parallel Requests', () => {
+    it('should dispatch every supported method', async () => {
+      fetchSpy.mockImplementation(() => Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: { get: jest.fn() },
+        text: () => Promise.resolve('{}'),
+      }));
+
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      await client.all([
+        { method: 'get', uri: '/a', params: { page: 1 } },
+        { method: 'post', uri: '/b', body: { name: 'b' } },
+        { method: 'patch', uri: '/c', body: { name: 'c' } },
+        { method: 'delete', uri: '/d' },
+        { method: 'del', uri: '/e' },
+        { method: 'head', uri: '/f' },
+        { method: 'options', uri: '/g' },
+      ]);
+
+      const calls = fetchSpy.mock.calls.map(([url, options]) => [url, options.method]);
+      expect(calls).toEqual([
+        ['https://api.example.com/a?page=1', 'GET'],
+        ['https://api.example.com/b', 'POST'],
+        ['https://api.example.com/c', 'PATCH'],
+        ['https://api.example.com/d', 'DELETE'],
+        ['https://api.example.com/e', 'DELETE'],
+        ['https://api.example.com/f', 'HEAD'],
+        ['https://api.example.com/g', 'OPTIONS'],
+      ]);
+    });
+
+    it('should upload FormData built from the body', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      await client.all([{ method: 'upload', uri: '/upload', body: { file: 'mock-file' } }]);
+
+      const [, options] = fetchSpy.mock.calls[0];
+      expect(options.body.get('file')).toBe('mock-file');
+    });
+
+    it('should reject unknown methods', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await expect(client.all([{ method: 'abort', uri: '/a' }]))
+        .rejects.toThrow("Invalid HTTP method 'abort' in parallel request configuration");
+    });
+  });
+
   describe('Error Handling', () => {
+    it('should mark fetch failures as network errors, but not errors thrown while reading the response', async () => {
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        dedupe: false,
+        parsers: [{ name: 'broken', match: () => true, parse: () => { throw new TypeError('Cannot read body'); } }],
+      });
+
+      fetchSpy.mockRejectedValueOnce(new TypeError('Network request failed'));
+      await expect(client.post('/orders', {})).rejects.toMatchObject({ message: 'Network request failed', isNetworkError: true });
+
+      fetchSpy.mockResolvedValueOnce({ ok: true, status: 200, headers: { get: () => 'application/x-broken' }, text: () => Promise.resolve('') });
+      const parseError = await client.post('/orders', {}).catch(error => error);
+      expect(parseError).toBeInstanceOf(TypeError);
+      expect(parseError.isNetworkError).toBeUndefined();
+    });
+
     it('should throw ApiError for HTTP error responses with correct status and data', async () => {
       fetchSpy.mockImplementation(() =>
         Promise.resolve({
@@ -459,6 +603,850 @@ describe('createApiClient', () => {
     });
   });
 
+  describe('Retry', () => {
+    const failingResponse = (status, headers = {}) => ({
+      ok: false,
+      status,
+      headers: { get: jest.fn((key) => headers[key]) },
+      text: () => Promise.resolve('{"message": "Failed"}'),
+    });
+
+    const successResponse = () => ({
+      ok: true,
+      status: 200,
+      text: () => Promise.resolve('{"ok": true}'),
+    });
+
+    it('should not retry when no retry policy is configured', async () => {
+      fetchSpy.mockResolvedValue(failingResponse(503));
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await expect(client.get('/flaky')).rejects.toThrow(ApiError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry 5xx responses on idempotent methods until success', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(failingResponse(503))
+        .mockResolvedValueOnce(failingResponse(502))
+        .mockResolvedValueOnce(successResponse());
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 3, baseDelay: 1, jitter: false },
+      });
+
+      const result = await client.get('/flaky');
+
+      expect(fetchSpy).toHaveBeenCalledTimes(3);
+      expect(result).toEqual({ ok: true });
+    });
+
+    it('should retry network errors and give up after max attempts', async () => {
+      fetchSpy.mockRejectedValue(new TypeError('Network request failed'));
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 2, baseDelay: 1, jitter: false },
+      });
+
+      await expect(client.get('/offline')).rejects.toThrow('Network request failed');
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry non-idempotent methods by default', async () => {
+      fetchSpy.mockResolvedValue(failingResponse(503));
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 3, baseDelay: 1 },
+      });
+
+      await expect(client.post('/orders', { id: 1 })).rejects.toThrow(ApiError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry client errors other than 408 and 429', async () => {
+      fetchSpy.mockResolvedValue(failingResponse(404));
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 3, baseDelay: 1 },
+      });
+
+      await expect(client.get('/missing')).rejects.toThrow(ApiError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let per-request retry options override the client policy', async () => {
+      fetchSpy.mockResolvedValue(failingResponse(503));
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 3, baseDelay: 1 },
+      });
+
+      await expect(client.get('/flaky', undefined, { retry: false })).rejects.toThrow(ApiError);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+      fetchSpy.mockClear();
+      await expect(client.post('/orders', {}, { retry: { shouldRetry: () => true } })).rejects.toThrow(ApiError);
+      expect(fetchSpy).toHaveBeenCalledTimes(3);
+    });
+
+    it('should pass the attempt context to a custom predicate', async () => {
+      fetchSpy.mockResolvedValue(failingResponse(500));
+      const shouldRetry = jest.fn(() => true);
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 2, baseDelay: 1, shouldRetry },
+      });
+
+      await expect(client.get('/flaky')).rejects.toThrow(ApiError);
+      expect(shouldRetry).toHaveBeenCalledWith(
+        expect.any(ApiError),
+        expect.objectContaining({ attempt: 1, method: 'GET' })
+      );
+    });
+
+    it('should wait for the Retry-After header before retrying', async () => {
+      fetchSpy
+        .mockResolvedValueOnce(failingResponse(429, { 'Retry-After': '0.05' }))
+        .mockResolvedValueOnce(successResponse());
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 2, baseDelay: 1, jitter: false },
+      });
+
+      const startedAt = Date.now();
+      await client.get('/limited');
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(40);
+    });
+
+    it('should stop retrying once the request is aborted', async () => {
+      fetchSpy.mockResolvedValue(failingResponse(503));
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 5, baseDelay: 20, jitter: false },
+      });
+
+      const request = client.get('/flaky');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      request.abort();
+
+      await expect(request).resolves.toBeNull();
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Timeouts', () => {
+    const hangingFetch = () => new Promise(() => {});
+
+    it('should reject with ApiTimeoutError when the client timeout elapses', async () => {
+      fetchSpy.mockImplementation(hangingFetch);
+      const client = createApiClient({ baseUrl: 'https://api.example.com', timeout: 10 });
+
+      const error = await client.get('/slow').catch(err => err);
+
+      expect(error).toBeInstanceOf(ApiTimeoutError);
+      expect(error.timeout).toBe(10);
+      const [, options] = fetchSpy.mock.calls[0];
+      expect(options.signal.aborted).toBe(true);
+    });
+
+    it('should not convert timeouts to null even with returnNullOnAbort', async () => {
+      fetchSpy.mockImplementation(hangingFetch);
+      const client = createApiClient({ baseUrl: 'https://api.example.com', returnNullOnAbort: true });
+
+      await expect(client.get('/slow', undefined, { timeout: 10 })).rejects.toThrow(ApiTimeoutError);
+    });
+
+    it('should let the per-request timeout override the client timeout', async () => {
+      fetchSpy.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({
+        ok: true,
+        status: 200,
+        text: () => Promise.resolve('{"ok": true}'),
+      }), 30)));
+      const client = createApiClient({ baseUrl: 'https://api.example.com', timeout: 5 });
+
+      await expect(client.get('/slow', undefined, { timeout: 1000 })).resolves.toEqual({ ok: true });
+    });
+
+    it('should pass the timeout error to the error interceptor', async () => {
+      fetchSpy.mockImplementation(hangingFetch);
+      const onError = jest.fn(() => 'handled');
+      const client = createApiClient({ baseUrl: 'https://api.example.com', timeout: 10, interceptors: { onError } });
+
+      await expect(client.get('/slow')).resolves.toBe('handled');
+      expect(onError).toHaveBeenCalledWith(expect.any(ApiTimeoutError), expect.objectContaining({ outcome: 'error' }));
+    });
+
+    it('should retry timed out attempts on idempotent methods', async () => {
+      fetchSpy
+        .mockImplementationOnce(hangingFetch)
+        .mockImplementationOnce(() => Promise.resolve({
+          ok: true,
+          status: 200,
+          text: () => Promise.resolve('{"ok": true}'),
+        }));
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        timeout: 10,
+        retry: { attempts: 2, baseDelay: 1, jitter: false },
+      });
+
+      await expect(client.get('/slow')).resolves.toEqual({ ok: true });
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Request Deduplication', () => {
+    const deferredFetch = () => {
+      let resolveFetch;
+      fetchSpy.mockImplementation(() => new Promise(resolve => {
+        resolveFetch = resolve;
+      }));
+      return (body) => resolveFetch({
+        ok: true,
+        status: 200,
+        text: () => Promise.resolve(body),
+      });
+    };
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('should share one network call between identical concurrent requests', async () => {
+      const resolveFetch = deferredFetch();
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      const first = client.post('/search', { query: 'alan' });
+      const second = client.post('/search', { query: 'alan' });
+      await flush();
+      resolveFetch('{"results": [1]}');
+
+      await expect(first).resolves.toEqual({ results: [1] });
+      await expect(second).resolves.toEqual({ results: [1] });
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not share calls between different bodies, params or methods', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await Promise.all([
+        client.post('/search', { query: 'alan' }),
+        client.post('/search', { query: 'sobae' }),
+        client.get('/search', { query: 'alan' }),
+        client.put('/search', { query: 'alan' }),
+      ]);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not share calls between requests with their own interceptors, retry or timeout', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      const results = await Promise.all([
+        client.get('/items', null, { onResponse: data => ({ ...data, who: 'a' }) }),
+        client.get('/items', null, { onResponse: data => ({ ...data, who: 'b' }) }),
+        client.get('/items', null, { timeout: 1000 }),
+        client.get('/items', null, { retry: false }),
+      ]);
+
+      expect(results[0]).toEqual({ who: 'a' });
+      expect(results[1]).toEqual({ who: 'b' });
+      expect(fetchSpy).toHaveBeenCalledTimes(4);
+    });
+
+    it('should send a new request once the previous one has settled', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await client.get('/users');
+      await client.get('/users');
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should allow opting out per request', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await Promise.all([
+        client.post('/likes', { postId: 1 }, { dedupe: false }),
+        client.post('/likes', { postId: 1 }, { dedupe: false }),
+      ]);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should allow opting out for the whole client', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com', dedupe: false });
+
+      await Promise.all([client.get('/users'), client.get('/users')]);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the shared call alive while another caller is waiting', async () => {
+      const resolveFetch = deferredFetch();
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      const first = client.get('/users');
+      const second = client.get('/users');
+      await flush();
+      first.abort();
+
+      const [, options] = fetchSpy.mock.calls[0];
+      expect(options.signal.aborted).toBe(false);
+      await expect(first).resolves.toBeNull();
+
+      resolveFetch('{"users": []}');
+      await expect(second).resolves.toEqual({ users: [] });
+    });
+
+    it('should abort the shared call once every caller has aborted', async () => {
+      deferredFetch();
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      const first = client.get('/users', undefined, { tag: 'screen' });
+      const second = client.get('/users', undefined, { tag: 'screen' });
+      await flush();
+      client.abortByTag('screen');
+
+      const [, options] = fetchSpy.mock.calls[0];
+      expect(options.signal.aborted).toBe(true);
+      await expect(Promise.all([first, second])).resolves.toEqual([null, null]);
+    });
+
+    it('should share errors with every caller', async () => {
+      fetchSpy.mockResolvedValue({
+        ok: false,
+        status: 500,
+        text: () => Promise.resolve('{"message": "Boom"}'),
+      });
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      const results = await Promise.allSettled([client.get('/users'), client.get('/users')]);
+
+      expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Response Parsing', () => {
+    const responseWith = (contentType, body = {}) => ({
+      ok: true,
+      status: 200,
+      headers: { get: jest.fn((key) => (key === 'Content-Type' ? contentType : null)) },
+      text: jest.fn().mockResolvedValue('{"id": 1}'),
+      blob: jest.fn().mockResolvedValue('blob-data'),
+      arrayBuffer: jest.fn().mockResolvedValue('buffer-data'),
+      formData: jest.fn().mockResolvedValue('form-data'),
+      ...body,
+    });
+
+    it('should parse JSON when the Content-Type is missing', async () => {
+      fetchSpy.mockResolvedValue(responseWith(undefined));
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await expect(client.get('/users/1')).resolves.toEqual({ id: 1 });
+    });
+
+    it('should pick a built-in parser from the Content-Type', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com', dedupe: false });
+
+      fetchSpy.mockResolvedValueOnce(responseWith('text/plain; charset=utf-8', { text: jest.fn().mockResolvedValue('hello') }));
+      await expect(client.get('/text')).resolves.toBe('hello');
+
+      fetchSpy.mockResolvedValueOnce(responseWith('image/png'));
+      await expect(client.get('/image')).resolves.toBe('blob-data');
+
+      fetchSpy.mockResolvedValueOnce(responseWith('multipart/form-data; boundary=x'));
+      await expect(client.get('/form')).resolves.toBe('form-data');
+
+      fetchSpy.mockResolvedValueOnce(responseWith('application/problem+json'));
+      await expect(client.get('/problem')).resolves.toEqual({ id: 1 });
+    });
+
+    it('should extract JSON from text/html bodies and fall back to the text', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com', dedupe: false });
+
+      fetchSpy.mockResolvedValueOnce(responseWith('text/html; charset=utf-8', { text: jest.fn().mockResolvedValue('Warning: x\n{"ok":true}') }));
+      await expect(client.get('/legacy')).resolves.toEqual({ ok: true });
+
+      fetchSpy.mockResolvedValueOnce(responseWith('text/html', { text: jest.fn().mockResolvedValue('<p>Maintenance</p>') }));
+      await expect(client.get('/legacy')).resolves.toBe('<p>Maintenance</p>');
+
+      fetchSpy.mockResolvedValueOnce(responseWith('text/html', { text: jest.fn().mockResolvedValue('{"ok":true}') }));
+      await expect(client.get('/legacy', undefined, { responseType: 'text' })).resolves.toBe('{"ok":true}');
+    });
+
+    it('should use the parser named by responseType regardless of Content-Type', async () => {
+      fetchSpy.mockResolvedValue(responseWith('application/json'));
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await expect(client.get('/file', undefined, { responseType: 'arrayBuffer' })).resolves.toBe('buffer-data');
+      expect(fetchSpy.mock.calls[0][1]).not.toHaveProperty('responseType');
+    });
+
+    it('should reject an unknown responseType without sending the request', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await expect(client.get('/file', undefined, { responseType: 'msgpack' })).rejects.toThrow("Unknown responseType 'msgpack'");
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should prefer custom parsers from the config over built-in ones', async () => {
+      const ndjsonParser = {
+        name: 'ndjson',
+        match: contentType => contentType.includes('application/x-ndjson'),
+        parse: async response => (await response.text()).split('\n').map(line => JSON.parse(line)),
+      };
+      fetchSpy.mockResolvedValue(responseWith('application/x-ndjson', { text: jest.fn().mockResolvedValue('{"a":1}\n{"a":2}') }));
+      const client = createApiClient({ baseUrl: 'https://api.example.com', parsers: [ndjsonParser] });
+
+      await expect(client.get('/stream')).resolves.toEqual([{ a: 1 }, { a: 2 }]);
+    });
+
+    it('should register and unregister parsers at runtime', async () => {
+      fetchSpy.mockResolvedValue(responseWith('application/json'));
+      const client = createApiClient({ baseUrl: 'https://api.example.com', dedupe: false });
+      const unregister = client.registerParser({ name: 'custom', match: () => true, parse: () => 'custom-data' });
+
+      await expect(client.get('/users/1')).resolves.toBe('custom-data');
+
+      unregister();
+      await expect(client.get('/users/1')).resolves.toEqual({ id: 1 });
+    });
+
+    it('should reject parsers without a name or parse function', () => {
+      const client = createApiClient();
+
+      expect(() => client.registerParser({ name: 'broken' })).toThrow('A response parser needs a name and a parse function');
+    });
+
+    it('should parse error bodies with the selected parser', async () => {
+      fetchSpy.mockResolvedValue({ ...responseWith('text/plain', { text: jest.fn().mockResolvedValue('Not here') }), ok: false, status: 404 });
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await expect(client.get('/missing')).rejects.toMatchObject({ status: 404, data: 'Not here', message: 'Request failed with status 404' });
+    });
+  });
+
+  describe('Full Response Mode', () => {
+    const responseHeaders = { get: jest.fn((key) => (key === 'ETag' ? '"v1"' : null)) };
+
+    beforeEach(() => {
+      fetchSpy.mockResolvedValue({
+        ok: true,
+        status: 200,
+        url: 'https://api.example.com/users?page=2',
+        headers: responseHeaders,
+        text: () => Promise.resolve('[{"id": 1}]'),
+      });
+    });
+
+    it('should resolve with the body only by default', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      await expect(client.get('/users', { page: 2 })).resolves.toEqual([{ id: 1 }]);
+    });
+
+    it('should resolve with data, status, headers, url and duration when requested', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      const result = await client.get('/users', { page: 2 }, { fullResponse: true });
+
+      expect(result).toEqual({
+        data: [{ id: 1 }],
+        status: 200,
+        headers: responseHeaders,
+        url: 'https://api.example.com/users?page=2',
+        durationMs: expect.any(Number),
+      });
+      expect(result.headers.get('ETag')).toBe('"v1"');
+      expect(fetchSpy.mock.calls[0][1]).not.toHaveProperty('fullResponse');
+    });
+
+    it('should apply the client setting unless the request overrides it', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com', fullResponse: true });
+
+      await expect(client.get('/users')).resolves.toMatchObject({ data: [{ id: 1 }], status: 200 });
+      await expect(client.get('/users', undefined, { fullResponse: false })).resolves.toEqual([{ id: 1 }]);
+    });
+
+    it('should wrap short-circuited values and error interceptor fallbacks with a null status', async () => {
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        fullResponse: true,
+        interceptors: { onError: () => 'fallback' },
+      });
+
+      await expect(client.get('/users', undefined, { onRequest: () => 'cached' })).resolves.toEqual({
+        data: 'cached',
+        status: null,
+        headers: null,
+        url: 'https://api.example.com/users',
+        durationMs: expect.any(Number),
+      });
+      expect(fetchSpy).not.toHaveBeenCalled();
+
+      fetchSpy.mockRejectedValueOnce(new TypeError('Network request failed'));
+      await expect(client.get('/users')).resolves.toMatchObject({ data: 'fallback', status: null, headers: null });
+    });
+
+    it('should not share a network call between body-only and full response requests', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      const [body, full] = await Promise.all([client.get('/users'), client.get('/users', undefined, { fullResponse: true })]);
+
+      expect(body).toEqual([{ id: 1 }]);
+      expect(full.data).toEqual([{ id: 1 }]);
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Authentication', () => {
+    let accessToken;
+    let sentTokens;
+
+    // Responds 401 unless the request carries the current token
+    const respondByToken = () => fetchSpy.mockImplementation((url, options) => {
+      const authorization = options.headers.get('Authorization');
+      sentTokens.push(authorization);
+      const isAuthorized = authorization === `Bearer ${accessToken}`;
+      return Promise.resolve({
+        ok: isAuthorized,
+        status: isAuthorized ? 200 : 401,
+        text: () => Promise.resolve(isAuthorized ? '{"ok": true}' : '{"message": "Unauthorized"}'),
+      });
+    });
+
+    const createAuthClient = (auth = {}) => createApiClient({
+      baseUrl: 'https://api.example.com',
+      auth: {
+        getAccessToken: () => accessToken,
+        refreshToken: jest.fn(async () => {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          accessToken = 'fresh-token';
+        }),
+        onAuthFailure: jest.fn(),
+        ...auth,
+      },
+    });
+
+    beforeEach(() => {
+      accessToken = 'valid-token';
+      sentTokens = [];
+      respondByToken();
+    });
+
+    it('should send the access token as a bearer header', async () => {
+      const client = createAuthClient();
+
+      await expect(client.get('/me')).resolves.toEqual({ ok: true });
+      expect(sentTokens).toEqual(['Bearer valid-token']);
+    });
+
+    it('should skip the token and 401 handling when auth is false', async () => {
+      const client = createAuthClient();
+
+      await expect(client.get('/public', undefined, { auth: false })).rejects.toMatchObject({ status: 401 });
+      expect(sentTokens).toEqual([undefined]);
+    });
+
+    it('should refresh the token on 401 and replay the request', async () => {
+      const client = createAuthClient({ getAccessToken: () => (accessToken === 'valid-token' ? 'expired-token' : accessToken) });
+
+      await expect(client.get('/me')).resolves.toEqual({ ok: true });
+      expect(sentTokens).toEqual(['Bearer expired-token', 'Bearer fresh-token']);
+    });
+
+    it('should share one refresh between concurrent 401 responses', async () => {
+      accessToken = 'expired-token';
+      const refreshToken = jest.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        accessToken = 'fresh-token';
+      });
+      // The server only accepts the fresh token
+      fetchSpy.mockImplementation((url, options) => {
+        const isAuthorized = options.headers.get('Authorization') === 'Bearer fresh-token';
+        return Promise.resolve({ ok: isAuthorized, status: isAuthorized ? 200 : 401, text: () => Promise.resolve('{}') });
+      });
+      const client = createAuthClient({ refreshToken });
+
+      const results = await Promise.all([client.get('/a'), client.get('/b'), client.get('/c')]);
+
+      expect(results).toEqual([{}, {}, {}]);
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+      expect(fetchSpy).toHaveBeenCalledTimes(6);
+    });
+
+    it('should queue requests started during a refresh until the new token is available', async () => {
+      let currentToken = 'expired-token';
+      let finishRefresh;
+      const refreshToken = jest.fn(() => new Promise(resolve => {
+        finishRefresh = () => {
+          accessToken = currentToken = 'fresh-token';
+          resolve();
+        };
+      }));
+      const client = createAuthClient({ refreshToken, getAccessToken: () => currentToken });
+
+      const first = client.get('/a');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+
+      const queued = client.get('/b');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+      finishRefresh();
+      await expect(Promise.all([first, queued])).resolves.toEqual([{ ok: true }, { ok: true }]);
+      expect(sentTokens).toEqual(['Bearer expired-token', 'Bearer fresh-token', 'Bearer fresh-token']);
+    });
+
+    it('should call onAuthFailure once and reject every waiting request when the refresh fails', async () => {
+      const refreshError = new Error('Refresh token expired');
+      const onAuthFailure = jest.fn();
+      accessToken = 'rotated-on-server';
+      const client = createAuthClient({
+        getAccessToken: () => 'stale-token',
+        refreshToken: jest.fn(() => Promise.reject(refreshError)),
+        onAuthFailure,
+      });
+
+      const results = await Promise.allSettled([client.get('/a'), client.get('/b')]);
+
+      expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+      expect(results[0].reason).toMatchObject({ status: 401 });
+      expect(onAuthFailure).toHaveBeenCalledTimes(1);
+      expect(onAuthFailure).toHaveBeenCalledWith(refreshError);
+    });
+
+    it('should call onAuthFailure when the replayed request is still unauthorized', async () => {
+      const onAuthFailure = jest.fn();
+      accessToken = 'rotated-on-server';
+      let currentToken = 'stale-token';
+      const client = createAuthClient({
+        getAccessToken: () => currentToken,
+        refreshToken: async () => {
+          currentToken = 'also-rejected';
+        },
+        onAuthFailure,
+      });
+
+      await expect(client.get('/me')).rejects.toMatchObject({ status: 401 });
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(onAuthFailure).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    });
+  });
+
+  describe('Middleware', () => {
+    beforeEach(() => {
+      fetchSpy.mockImplementation(() => Promise.resolve({
+        ok: true,
+        status: 200,
+        text: () => Promise.resolve('{"id": 1}'),
+      }));
+    });
+
+    it('should run middleware in order around the request', async () => {
+      const calls = [];
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      client.use(async (context, next) => {
+        calls.push('first:before');
+        const data = await next();
+        calls.push('first:after');
+        return data;
+      });
+      client.use(async (context, next) => {
+        calls.push('second:before');
+        const data = await next();
+        calls.push(`second:after:${context.response.status}`);
+        return { ...data, wrapped: true };
+      });
+
+      await expect(client.get('/users/1')).resolves.toEqual({ id: 1, wrapped: true });
+      expect(calls).toEqual(['first:before', 'second:before', 'second:after:200', 'first:after']);
+    });
+
+    it('should let middleware transform the request', async () => {
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        middleware: [
+          async (context, next) => {
+            context.url = `${context.url}?locale=nl`;
+            context.request.headers.set('X-Trace', 'abc');
+            return next();
+          },
+        ],
+      });
+
+      await client.get('/users/1');
+
+      const [url, options] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://api.example.com/users/1?locale=nl');
+      expect(options.headers.get('X-Trace')).toBe('abc');
+    });
+
+    it('should short-circuit when middleware returns without calling next', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      client.use(async () => ({ cached: true }));
+
+      await expect(client.get('/users/1')).resolves.toEqual({ cached: true });
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should run after the interceptors', async () => {
+      const calls = [];
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        interceptors: {
+          onRequest: () => {
+            calls.push('onRequest');
+          },
+          onResponse: (data) => {
+            calls.push('onResponse');
+            return data;
+          },
+        },
+      });
+      client.use(async (context, next) => {
+        calls.push('middleware:before');
+        const data = await next();
+        calls.push('middleware:after');
+        return data;
+      });
+
+      await client.get('/users/1');
+
+      expect(calls).toEqual(['onRequest', 'middleware:before', 'middleware:after', 'onResponse']);
+    });
+
+    it('should wrap the retries as a single call', async () => {
+      fetchSpy
+        .mockResolvedValueOnce({ ok: false, status: 503, headers: { get: jest.fn() }, text: () => Promise.resolve('{}') })
+        .mockResolvedValueOnce({ ok: true, status: 200, text: () => Promise.resolve('{"id": 1}') });
+      const middleware = jest.fn((context, next) => next());
+      const client = createApiClient({ baseUrl: 'https://api.example.com', retry: { attempts: 2, baseDelay: 0, jitter: false } });
+      client.use(middleware);
+
+      await expect(client.get('/users/1')).resolves.toEqual({ id: 1 });
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(middleware).toHaveBeenCalledTimes(1);
+    });
+
+    it('should call the retry handlers registered through the context before each retry', async () => {
+      fetchSpy
+        .mockResolvedValueOnce({ ok: false, status: 503, headers: { get: jest.fn() }, text: () => Promise.resolve('{}') })
+        .mockResolvedValueOnce({ ok: true, status: 200, text: () => Promise.resolve('{"id": 1}') });
+      const onRetry = jest.fn();
+      const client = createApiClient({ baseUrl: 'https://api.example.com', retry: { attempts: 2, baseDelay: 0, jitter: false } });
+      client.use((context, next) => {
+        context.onRetry(onRetry);
+        return next();
+      });
+
+      await expect(client.get('/users/1')).resolves.toEqual({ id: 1 });
+      expect(onRetry).toHaveBeenCalledTimes(1);
+      expect(onRetry).toHaveBeenCalledWith({ attempt: 2, delay: 0, error: expect.any(ApiError) });
+      expect(onRetry.mock.calls[0][0].error.status).toBe(503);
+    });
+
+    it('should stop running removed middleware', async () => {
+      const middleware = jest.fn(() => 'short-circuited');
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      const removeMiddleware = client.use(middleware);
+
+      removeMiddleware();
+
+      await expect(client.get('/users/1')).resolves.toEqual({ id: 1 });
+      expect(middleware).not.toHaveBeenCalled();
+    });
+
+    it('should pass middleware errors to the error interceptor', async () => {
+      const onError = jest.fn(() => 'recovered');
+      const client = createApiClient({ baseUrl: 'https://api.example.com', interceptors: { onError } });
+      client.use(async () => {
+        throw new Error('Blocked by middleware');
+      });
+
+      await expect(client.get('/users/1')).resolves.toBe('recovered');
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Blocked by middleware' }), expect.any(Object));
+    });
+
+    it('should reject when a middleware calls next() more than once', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      client.use(async (context, next) => {
+        await next();
+        return next();
+      });
+
+      await expect(client.get('/users/1')).rejects.toThrow('next() called multiple times');
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject middleware that is not a function', () => {
+      const client = createApiClient();
+
+      expect(() => client.use('logger')).toThrow('Middleware must be a function');
+    });
+  });
+
+  describe('Error and Finally Interceptor Context', () => {
+    it('should pass the outcome context to onFinally after a successful request', async () => {
+      const onFinally = jest.fn();
+      const client = createApiClient({ baseUrl: 'https://api.example.com', interceptors: { onFinally } });
+
+      await client.get('/users', { page: 1 }, { requestId: 'list-users', tag: 'users' });
+
+      expect(onFinally).toHaveBeenCalledWith({
+        uri: '/users?page=1',
+        method: 'GET',
+        options: expect.objectContaining({ method: 'GET' }),
+        requestId: 'list-users',
+        tag: 'users',
+        attempt: 1,
+        durationMs: expect.any(Number),
+        outcome: 'success',
+      });
+    });
+
+    it('should pass the error outcome and attempt count to onError and onFinally', async () => {
+      fetchSpy.mockResolvedValue({ ok: false, status: 503, headers: { get: jest.fn() }, text: () => Promise.resolve('{}') });
+      const onError = jest.fn(error => {
+        throw error;
+      });
+      const onFinally = jest.fn();
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        retry: { attempts: 3, baseDelay: 0, jitter: false },
+        interceptors: { onError, onFinally },
+      });
+
+      await expect(client.get('/status')).rejects.toMatchObject({ status: 503 });
+
+      const expectedContext = expect.objectContaining({ uri: '/status', method: 'GET', attempt: 3, outcome: 'error' });
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ status: 503 }), expectedContext);
+      expect(onFinally).toHaveBeenCalledWith(expectedContext);
+    });
+
+    it('should report aborted requests with the abort outcome', async () => {
+      fetchSpy.mockImplementation((url, options) => new Promise((resolve, reject) => {
+        options.signal.abort = () => {
+          const error = new Error('Aborted');
+          error.name = 'AbortError';
+          reject(error);
+        };
+      }));
+      const onFinally = jest.fn();
+      const client = createApiClient({ baseUrl: 'https://api.example.com', interceptors: { onFinally } });
+
+      const request = client.post('/users', { name: 'Alan' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      fetchSpy.mock.calls[0][1].signal.abort();
+
+      await expect(request).resolves.toBeNull();
+      expect(onFinally).toHaveBeenCalledWith(expect.objectContaining({ method: 'POST', outcome: 'abort' }));
+    });
+  });
+
   describe('Upload Method', () => {
     it('should handle file upload with FormData and correct fetch call', async () => {
       fetchSpy.mockImplementation(() =>
@@ -611,6 +1599,50 @@ describe('createApiClient', () => {
     });
   });
 
+  describe('Configure', () => {
+    it('should send requests made after configure to the new baseUrl', async () => {
+      const client = createApiClient({ baseUrl: 'https://staging.example.com' });
+
+      client.configure({ baseUrl: 'https://api.example.com' });
+      await client.get('/users');
+
+      expect(fetchSpy).toHaveBeenCalledWith('https://api.example.com/users', expect.any(Object));
+    });
+
+    it('should merge headers and remove headers set to undefined', async () => {
+      const client = createApiClient({
+        baseUrl: 'https://api.example.com',
+        headers: { 'X-API-Key': 'staging-key', 'X-Debug': 'true' }
+      });
+
+      client.configure({ headers: { 'x-api-key': 'production-key', 'X-Debug': undefined, 'X-Tenant': 'acme' } });
+      await client.get('/test');
+
+      const [, options] = fetchSpy.mock.calls[0];
+      const headers = options.headers;
+      expect(headers._mockHeaders.get('x-api-key')).toBe('production-key');
+      expect(headers._mockHeaders.has('x-debug')).toBe(false);
+      expect(headers._mockHeaders.get('x-tenant')).toBe('acme');
+    });
+
+    it('should keep options that are not passed', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com', fullResponse: true });
+
+      client.configure({ headers: { 'X-Tenant': 'acme' } });
+      const response = await client.get('/test');
+
+      expect(response).toEqual(expect.objectContaining({ status: 200 }));
+    });
+
+    it('should throw when parsers or middleware are passed', () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+
+      expect(() => client.configure({ middleware: [] })).toThrow(
+        'Parsers and middleware cannot be changed with configure, use registerParser and use instead'
+      );
+    });
+  });
+
   describe('AbortController Integration', () => {
     it('should include AbortController signal in fetch calls', async () => {
       const client = createApiClient({ baseUrl: 'https://api.example.com' });
@@ -625,5 +1657,102 @@ describe('createApiClient', () => {
         })
       );
     });
+
+    it('should give every request its own signal', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      await Promise.all([client.get('/first'), client.get('/second')]);
+
+      const [[, firstOptions], [, secondOptions]] = fetchSpy.mock.calls;
+      expect(firstOptions.signal).not.toBe(secondOptions.signal);
+    });
+
+    it('should expose requestId and abort on the returned promise', async () => {
+      fetchSpy.mockImplementation(() => new Promise(() => {}));
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      const first = client.get('/first');
+      const second = client.get('/second', undefined, { requestId: 'custom-id' });
+
+      expect(typeof first.requestId).toBe('string');
+      expect(second.requestId).toBe('custom-id');
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      first.abort();
+
+      const [[, firstOptions], [, secondOptions]] = fetchSpy.mock.calls;
+      expect(firstOptions.signal.aborted).toBe(true);
+      expect(secondOptions.signal.aborted).toBe(false);
+      await expect(first).resolves.toBeNull();
+    });
+
+    it('should abort a single request by id', async () => {
+      fetchSpy.mockImplementation(() => new Promise(() => {}));
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      client.get('/first', undefined, { requestId: 'first' });
+      client.get('/second', undefined, { requestId: 'second' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(client.abortRequest('first')).toBe(true);
+      expect(client.abortRequest('unknown')).toBe(false);
+
+      const [[, firstOptions], [, secondOptions]] = fetchSpy.mock.calls;
+      expect(firstOptions.signal.aborted).toBe(true);
+      expect(secondOptions.signal.aborted).toBe(false);
+    });
+
+    it('should abort requests by tag', async () => {
+      fetchSpy.mockImplementation(() => new Promise(() => {}));
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      client.get('/first', undefined, { tag: 'screen-a' });
+      client.get('/second', undefined, { tag: 'screen-a' });
+      client.get('/third', undefined, { tag: 'screen-b' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(client.abortByTag('screen-a')).toBe(2);
+
+      const signals = fetchSpy.mock.calls.map(([, options]) => options.signal.aborted);
+      expect(signals).toEqual([true, true, false]);
+    });
+
+    it('should abort every in-flight request with abort()', async () => {
+      fetchSpy.mockImplementation(() => new Promise(() => {}));
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      client.get('/first');
+      client.get('/second');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      client.abort();
+
+      const signals = fetchSpy.mock.calls.map(([, options]) => options.signal.aborted);
+      expect(signals).toEqual([true, true]);
+    });
+
+    it('should follow an external signal', async () => {
+      fetchSpy.mockImplementation(() => new Promise(() => {}));
+      const listeners = [];
+      const externalSignal = {
+        aborted: false,
+        addEventListener: jest.fn((type, listener) => listeners.push(listener)),
+        removeEventListener: jest.fn(),
+      };
+
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      client.get('/test', undefined, { signal: externalSignal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      listeners.forEach(listener => listener());
+
+      const [, options] = fetchSpy.mock.calls[0];
+      expect(options.signal).not.toBe(externalSignal);
+      expect(options.signal.aborted).toBe(true);
+    });
+
+    it('should not pass cancellation options through to fetch', async () => {
+      const client = createApiClient({ baseUrl: 'https://api.example.com' });
+      await client.get('/test', undefined, { requestId: 'id', tag: 'tag' });
+
+      const [, options] = fetchSpy.mock.calls[0];
+      expect(options).not.toHaveProperty('requestId');
+      expect(options).not.toHaveProperty('tag');
+    });
   });
 });
@@ -0,0 +1,280 @@
+import {ApiError, ApiTimeoutError} from './ApiClient';
+
+/**
+ * Default settings for the offline queue.
+ */
+const DEFAULT_STORAGE_KEY = '@api-manager/offline-queue';
+const DEFAULT_QUEUED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Creates an in-memory storage adapter with the AsyncStorage interface.
+ * Data is lost when the app restarts, so use AsyncStorage or similar in production.
+ *
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}} The storage adapter
+ */
+export const createMemoryStorage = () => {
+  const items = new Map();
+
+  return {
+    getItem: async key => (items.has(key) ? items.get(key) : null),
+    setItem: async (key, value) => {
+      items.set(key, value);
+    },
+    removeItem: async key => {
+      items.delete(key);
+    },
+  };
+};
+
+/**
+ * Creates a connectivity source whose state is set by hand.
+ * Used as the default source, and useful in tests or when connectivity is tracked elsewhere.
+ *
+ * @param {boolean} [initiallyConnected=true] - The initial connectivity state
+ * @returns {{isConnected: Function, subscribe: Function, setConnected: Function}} The connectivity source
+ */
+export const createManualConnectivity = (initiallyConnected = true) => {
+  const listeners = new Set();
+  let isConnected = initiallyConnected;
+
+  return {
+    isConnected: () => isConnected,
+    subscribe: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setConnected: connected => {
+      if (connected === isConnected) return;
+      isConnected = connected;
+      listeners.forEach(listener => listener(connected));
+    },
+  };
+};
+
+/**
+ * Checks whether a replay failed because the server could not be reached, so the entry should be kept.
+ * Aborted requests, timeouts, 408, 429 and 5xx responses are kept as well, like the client retries them; other API errors
+ * mean the request was rejected for good.
+ *
+ * @param {Error} error - The error thrown while replaying
+ * @returns {boolean} True if the request should be replayed again later
+ */
+const isTransientFailure = error => {
+  if (!(error instanceof ApiError)) return true;
+  if (error instanceof ApiTimeoutError) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+/**
+ * Creates a persistent queue of requests that are replayed in order once the device is online.
+ * Entries must be serializable: `{client, uri, method, body, headers}` with `body` as a JSON string.
+ *
+ * @param {Object} options - Queue options
+ * @param {Function} options.send - Sends a queued entry, `(entry) => Promise`. Rejects when the entry was not delivered, e.g. with an AbortError
+ * @param {Object} [options.storage] - AsyncStorage-compatible adapter, in-memory by default
+ * @param {string} [options.storageKey='@api-manager/offline-queue'] - Key the queue is stored under
+ * @param {Object} [options.connectivity] - Source with `isConnected()` and `subscribe(listener)`, always online by default
+ * @param {Array<string>} [options.methods=['POST','PUT','PATCH','DELETE']] - HTTP methods that are queued
+ * @param {Function} [options.onReplayError] - Called with `(error, entry)` when the server rejects a replayed entry
+ * @returns {Object} The offline queue instance
+ */
+export const createOfflineQueue = options => {
+  const {
+    send,
+    storage = createMemoryStorage(),
+    storageKey = DEFAULT_STORAGE_KEY,
+    connectivity = createManualConnectivity(),
+    methods = DEFAULT_QUEUED_METHODS,
+    onReplayError,
+  } = options;
+  const listeners = new Set();
+  let entries = [];
+  let entryCounter = 0;
+  let replayPromise = null;
+  let unsubscribeConnectivity = null;
+  let state = {pending: [], isOnline: true, isReplaying: false, lastError: null};
+
+  /**
+   * Updates the public state and notifies subscribers.
+   *
+   * @param {Object} changes - State changes
+   */
+  const setState = changes => {
+    state = {...state, ...changes, pending: [...entries]};
+    listeners.forEach(listener => listener(state));
+  };
+
+  /**
+   * Writes the current entries to storage.
+   *
+   * @returns {Promise<void>}
+   */
+  const persist = () => storage.setItem(storageKey, JSON.stringify(entries));
+
+  // Entries enqueued before storage was read are kept after the stored ones
+  const hydration = Promise.resolve()
+    .then(() => storage.getItem(storageKey))
+    .then(storedValue => {
+      const storedEntries = storedValue ? JSON.parse(storedValue) : [];
+      entries = [...storedEntries, ...entries];
+      setState({});
+    });
+  // Callers of `ready`, `enqueue` and `replay` still see the failure
+  hydration.catch(error => setState({lastError: error}));
+
+  const offlineQueue = {
+    /**
+     * Resolves once the queue has been restored from storage.
+     */
+    ready: hydration,
+
+    /**
+     * The connectivity source used by this queue.
+     */
+    connectivity,
+
+    /**
+     * Checks whether requests with this method are queued while offline.
+     *
+     * @param {string} method - The HTTP method
+     * @returns {boolean} True if the method is queued
+     */
+    shouldQueue: method => methods.includes(method.toUpperCase()),
+
+    /**
+     * Reads the current connectivity state.
+     *
+     * @returns {Promise<boolean>} True if the device is online
+     */
+    isOnline: async () => Boolean(await connectivity.isConnected()),
+
+    /**
+     * Adds a request to the end of the queue and persists it.
+     *
+     * @param {Object} request - The request to queue
+     * @param {string} [request.client] - Name of the client to replay with
+     * @param {string} request.uri - The URI, including the query string
+     * @param {string} request.method - The HTTP method
+     * @param {string} [request.body] - The JSON encoded body
+     * @param {Object} [request.headers] - Request-specific headers
+     * @returns {Promise<Object>} The queued entry
+     */
+    enqueue: async request => {
+      const entry = {...request, id: `offline-${Date.now()}-${++entryCounter}`, createdAt: Date.now()};
+      entries.push(entry);
+      setState({});
+      await hydration;
+      await persist();
+      return entry;
+    },
+
+    /**
+     * Sends queued entries in order. Stops at the first transient failure and keeps the remaining entries.
+     * Entries the server rejects are removed and passed to `onReplayError`. Concurrent calls share one replay.
+     *
+     * @returns {Promise<void>} Resolves when the replay has finished
+     */
+    replay: () => {
+      if (replayPromise) return replayPromise;
+
+      replayPromise = (async () => {
+        await hydration;
+        setState({isReplaying: true, lastError: null});
+
+        while (entries.length > 0) {
+          const [entry] = entries;
+          try {
+            await send(entry);
+          } catch (error) {
+            if (isTransientFailure(error)) {
+              setState({lastError: error});
+              return;
+            }
+            onReplayError?.(error, entry);
+          }
+          entries = entries.filter(candidate => candidate !== entry);
+          setState({});
+          await persist();
+        }
+      })().finally(() => {
+        replayPromise = null;
+        setState({isReplaying: false});
+      });
+
+      return replayPromise;
+    },
+
+    /**
+     * Removes a single entry without sending it.
+     *
+     * @param {string} id - The entry id
+     * @returns {Promise<void>}
+     */
+    remove: async id => {
+      entries = entries.filter(entry => entry.id !== id);
+      setState({});
+      await persist();
+    },
+
+    /**
+     * Removes every entry without sending them.
+     *
+     * @returns {Promise<void>}
+     */
+    clear: async () => {
+      entries = [];
+      setState({});
+      await storage.removeItem(storageKey);
+    },
+
+    /**
+     * Reads the queue state.
+     *
+     * @returns {{pending: Array<Object>, isOnline: boolean, isReplaying: boolean, lastError: Error|null}} The state
+     */
+    getState: () => state,
+
+    /**
+     * Subscribes to state changes.
+     *
+     * @param {Function} listener - Called with the new state
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Starts following the connectivity source and replays the queue whenever the device comes online.
+     *
+     * @returns {Promise<void>} Resolves once the initial state has been read and replayed. Errors end up in `lastError`
+     */
+    start: async () => {
+      if (unsubscribeConnectivity) return;
+
+      unsubscribeConnectivity = connectivity.subscribe(isConnected => {
+        setState({isOnline: Boolean(isConnected)});
+        if (isConnected) offlineQueue.replay().catch(error => setState({lastError: error}));
+      });
+
+      try {
+        const isConnected = await offlineQueue.isOnline();
+        setState({isOnline: isConnected});
+        if (isConnected) await offlineQueue.replay();
+      } catch (error) {
+        setState({lastError: error});
+      }
+    },
+
+    /**
+     * Stops following the connectivity source.
+     */
+    stop: () => {
+      unsubscribeConnectivity?.();
+      unsubscribeConnectivity = null;
+    },
+  };
+
+  return offlineQueue;
+};
@@ -0,0 +1,244 @@
+/**
+ * @file Tests for the OfflineQueue library
+ * @author Alan Chen
+ */
+
+import {ApiError} from './ApiClient';
+import {createOfflineQueue, createMemoryStorage, createManualConnectivity} from './OfflineQueue';
+
+const STORAGE_KEY = '@api-manager/offline-queue';
+
+describe('createMemoryStorage', () => {
+  it('should store, read and remove items like AsyncStorage', async () => {
+    const storage = createMemoryStorage();
+
+    await expect(storage.getItem('key')).resolves.toBeNull();
+    await storage.setItem('key', 'value');
+    await expect(storage.getItem('key')).resolves.toBe('value');
+    await storage.removeItem('key');
+    await expect(storage.getItem('key')).resolves.toBeNull();
+  });
+});
+
+describe('createManualConnectivity', () => {
+  it('should notify subscribers when the state changes', () => {
+    const connectivity = createManualConnectivity(false);
+    const listener = jest.fn();
+    connectivity.subscribe(listener);
+
+    connectivity.setConnected(false);
+    connectivity.setConnected(true);
+
+    expect(connectivity.isConnected()).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(true);
+  });
+});
+
+describe('createOfflineQueue', () => {
+  let storage;
+  let connectivity;
+  let send;
+
+  const createQueue = (options = {}) => createOfflineQueue({storage, connectivity, send, ...options});
+  const request = uri => ({client: 'main', uri, method: 'POST', body: '{"done":true}'});
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    connectivity = createManualConnectivity(false);
+    send = jest.fn().mockResolvedValue({ok: true});
+  });
+
+  describe('enqueue', () => {
+    it('should persist entries in order', async () => {
+      const queue = createQueue();
+
+      await queue.enqueue(request('jobs/1'));
+      await queue.enqueue(request('jobs/2'));
+
+      const storedEntries = JSON.parse(await storage.getItem(STORAGE_KEY));
+      expect(storedEntries.map(entry => entry.uri)).toEqual(['jobs/1', 'jobs/2']);
+      expect(queue.getState().pending).toHaveLength(2);
+      expect(queue.getState().pending[0]).toEqual(expect.objectContaining({id: expect.any(String), createdAt: expect.any(Number)}));
+    });
+
+    it('should restore entries from storage before new ones', async () => {
+      await storage.setItem(STORAGE_KEY, JSON.stringify([{id: 'stored', uri: 'jobs/1', method: 'POST'}]));
+      const queue = createQueue();
+
+      await queue.enqueue(request('jobs/2'));
+
+      expect(queue.getState().pending.map(entry => entry.uri)).toEqual(['jobs/1', 'jobs/2']);
+    });
+
+    it('should report a failing storage read in lastError', async () => {
+      const readError = new Error('Storage unavailable');
+      storage.getItem = jest.fn().mockRejectedValue(readError);
+      const queue = createQueue();
+
+      await flush();
+
+      expect(queue.getState().lastError).toBe(readError);
+      await expect(queue.ready).rejects.toBe(readError);
+    });
+  });
+
+  describe('replay', () => {
+    it('should send entries in order and remove them', async () => {
+      const queue = createQueue();
+      await queue.enqueue(request('jobs/1'));
+      await queue.enqueue(request('jobs/2'));
+
+      await queue.replay();
+
+      expect(send.mock.calls.map(([entry]) => entry.uri)).toEqual(['jobs/1', 'jobs/2']);
+      expect(queue.getState().pending).toEqual([]);
+      expect(JSON.parse(await storage.getItem(STORAGE_KEY))).toEqual([]);
+    });
+
+    it('should stop at a network failure and keep the remaining entries', async () => {
+      send.mockResolvedValueOnce({ok: true}).mockRejectedValueOnce(new TypeError('Network request failed'));
+      const queue = createQueue();
+      await queue.enqueue(request('jobs/1'));
+      await queue.enqueue(request('jobs/2'));
+      await queue.enqueue(request('jobs/3'));
+
+      await queue.replay();
+
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(queue.getState().pending.map(entry => entry.uri)).toEqual(['jobs/2', 'jobs/3']);
+      expect(queue.getState().lastError).toBeInstanceOf(TypeError);
+      expect(queue.getState().isReplaying).toBe(false);
+    });
+
+    it('should drop entries the server rejects and report them', async () => {
+      const rejection = new ApiError('Invalid job', 422, null);
+      send.mockRejectedValueOnce(rejection);
+      const onReplayError = jest.fn();
+      const queue = createQueue({onReplayError});
+      await queue.enqueue(request('jobs/1'));
+      await queue.enqueue(request('jobs/2'));
+
+      await queue.replay();
+
+      expect(onReplayError).toHaveBeenCalledWith(rejection, expect.objectContaining({uri: 'jobs/1'}));
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(queue.getState().pending).toEqual([]);
+    });
+
+    it('should keep entries on server errors', async () => {
+      send.mockRejectedValueOnce(new ApiError('Unavailable', 503, null));
+      const queue = createQueue();
+      await queue.enqueue(request('jobs/1'));
+
+      await queue.replay();
+
+      expect(queue.getState().pending).toHaveLength(1);
+    });
+
+    it('should keep entries when the server is rate limiting or timed out the request', async () => {
+      const onReplayError = jest.fn();
+      send.mockRejectedValueOnce(new ApiError('Too many requests', 429, null)).mockRejectedValueOnce(new ApiError('Request timeout', 408, null));
+      const queue = createQueue({onReplayError});
+      await queue.enqueue(request('jobs/1'));
+
+      await queue.replay();
+      await queue.replay();
+
+      expect(queue.getState().pending).toHaveLength(1);
+      expect(onReplayError).not.toHaveBeenCalled();
+    });
+
+    it('should keep entries whose replay was aborted', async () => {
+      const abortError = new Error('The request was aborted');
+      abortError.name = 'AbortError';
+      send.mockRejectedValueOnce(abortError);
+      const queue = createQueue();
+      await queue.enqueue(request('jobs/1'));
+
+      await queue.replay();
+
+      expect(queue.getState().pending).toHaveLength(1);
+      expect(queue.getState().lastError).toBe(abortError);
+    });
+
+    it('should share one replay between concurrent calls', async () => {
+      const queue = createQueue();
+      await queue.enqueue(request('jobs/1'));
+
+      await Promise.all([queue.replay(), queue.replay()]);
+
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('connectivity', () => {
+    it('should replay when the device comes back online', async () => {
+      const queue = createQueue();
+      await queue.start();
+      await queue.enqueue(request('jobs/1'));
+
+      expect(queue.getState().isOnline).toBe(false);
+      expect(send).not.toHaveBeenCalled();
+
+      connectivity.setConnected(true);
+      await queue.replay();
+
+      expect(queue.getState().isOnline).toBe(true);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(queue.getState().pending).toEqual([]);
+    });
+
+    it('should report storage failures of a replay started by connectivity in lastError', async () => {
+      const writeError = new Error('Storage full');
+      const queue = createQueue();
+      await queue.start();
+      await queue.enqueue(request('jobs/1'));
+      storage.setItem = jest.fn().mockRejectedValue(writeError);
+
+      connectivity.setConnected(true);
+      await flush();
+
+      expect(queue.getState().lastError).toBe(writeError);
+    });
+
+    it('should stop following connectivity after stop', async () => {
+      const queue = createQueue();
+      await queue.start();
+      await queue.enqueue(request('jobs/1'));
+
+      queue.stop();
+      connectivity.setConnected(true);
+      await queue.ready;
+
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove and clear', () => {
+    it('should remove entries without sending them', async () => {
+      const queue = createQueue();
+      const entry = await queue.enqueue(request('jobs/1'));
+      await queue.enqueue(request('jobs/2'));
+
+      await queue.remove(entry.id);
+      expect(queue.getState().pending.map(pending => pending.uri)).toEqual(['jobs/2']);
+
+      await queue.clear();
+      expect(queue.getState().pending).toEqual([]);
+      await expect(storage.getItem(STORAGE_KEY)).resolves.toBeNull();
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should notify subscribers of state changes', async () => {
+    const queue = createQueue();
+    const listener = jest.fn();
+    queue.subscribe(listener);
+
+    await queue.enqueue(request('jobs/1'));
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({pending: [expect.objectContaining({uri: 'jobs/1'})]}));
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Default cache timings in milliseconds.
+ */
+const DEFAULT_STALE_TIME = 0;
+const DEFAULT_CACHE_TIME = 5 * 60 * 1000;
+
+/**
+ * Serializes a value with sorted object keys so that equal params always produce the same string.
+ *
+ * @param {any} value - The value to serialize
+ * @returns {string} A stable JSON representation
+ */
+export const stableStringify = value => {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+  const sortedEntries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${sortedEntries.join(',')}}`;
+};
+
+/**
+ * Checks whether a query key starts with the given prefix.
+ *
+ * @param {Array} queryKey - The full query key
+ * @param {Array} prefix - The prefix to match
+ * @returns {boolean} True if every element of the prefix equals the matching key element
+ */
+const matchesPrefix = (queryKey, prefix) => {
+  if (prefix.length > queryKey.length) return false;
+  return prefix.every((part, index) => stableStringify(part) === stableStringify(queryKey[index]));
+};
+
+/**
+ * Creates an in-memory query cache with stale-while-revalidate semantics.
+ * Keys are arrays such as `[clientName, method, uri, params]` and can be invalidated by prefix.
+ *
+ * @param {Object} [defaults] - Default timings for every entry
+ * @param {number} [defaults.staleTime=0] - Time in milliseconds before cached data is considered stale
+ * @param {number} [defaults.cacheTime=300000] - Time in milliseconds cached data is kept after it was last written
+ * @returns {Object} The query cache instance
+ */
+export const createQueryCache = (defaults = {}) => {
+  const entries = new Map();
+  const listeners = new Set();
+  const cacheDefaults = {
+    staleTime: DEFAULT_STALE_TIME,
+    cacheTime: DEFAULT_CACHE_TIME,
+    ...defaults,
+  };
+
+  /**
+   * Builds a matcher from a key prefix or a predicate function.
+   *
+   * @param {Array|Function} [filter] - Key prefix or `(queryKey) => boolean`. Matches everything when omitted
+   * @returns {Function} The matcher
+   */
+  const createMatcher = filter => {
+    if (!filter) return () => true;
+    if (typeof filter === 'function') return filter;
+    return queryKey => matchesPrefix(queryKey, filter);
+  };
+
+  /**
+   * Returns the entry for a key, evicting it first if it has outlived its cache time.
+   *
+   * @param {string} hash - The serialized key
+   * @returns {Object|undefined} The entry
+   */
+  const getLiveEntry = hash => {
+    const entry = entries.get(hash);
+    if (!entry) return undefined;
+
+    if (Date.now() - entry.updatedAt > entry.cacheTime) {
+      entries.delete(hash);
+      return undefined;
+    }
+
+    return entry;
+  };
+
+  /**
+   * Evicts every entry that has outlived its cache time, so keys that are never read again don't pile up.
+   */
+  const removeExpiredEntries = () => {
+    const now = Date.now();
+    Array.from(entries.entries()).forEach(([hash, entry]) => {
+      if (now - entry.updatedAt > entry.cacheTime) entries.delete(hash);
+    });
+  };
+
+  const queryCache = {
+    /**
+     * Default timings applied to entries that don't specify their own.
+     */
+    defaults: cacheDefaults,
+
+    /**
+     * Builds the cache key for a request.
+     *
+     * @param {Object} keyParts - The request identity
+     * @param {string} [keyParts.client] - The registered client name
+     * @param {string} [keyParts.method='GET'] - The HTTP method
+     * @param {string} keyParts.uri - The request URI
+     * @param {Object} [keyParts.params] - The request params or body
+     * @returns {Array} The query key
+     */
+    buildKey: ({client, method = 'GET', uri, params}) => [client || '', method.toUpperCase(), uri, params ?? null],
+
+    /**
+     * Reads a cached entry.
+     *
+     * @param {Array} queryKey - The query key
+     * @returns {{data: any, updatedAt: number, isInvalidated: boolean}|undefined} The entry, if cached
+     */
+    get: queryKey => getLiveEntry(stableStringify(queryKey)),
+
+    /**
+     * Reads cached data.
+     *
+     * @param {Array} queryKey - The query key
+     * @returns {any} The cached data, or undefined
+     */
+    getData: queryKey => getLiveEntry(stableStringify(queryKey))?.data,
+
+    /**
+     * Writes data to the cache, marking it fresh. Expired entries are evicted on every write.
+     *
+     * @param {Array} queryKey - The query key
+     * @param {any} data - The data to cache
+     * @param {Object} [options] - Entry options
+     * @param {number} [options.cacheTime] - Overrides the default cache time for this entry
+     */
+    set: (queryKey, data, options = {}) => {
+      removeExpiredEntries();
+      entries.set(stableStringify(queryKey), {
+        key: queryKey,
+        data,
+        updatedAt: Date.now(),
+        isInvalidated: false,
+        cacheTime: options.cacheTime ?? cacheDefaults.cacheTime,
+      });
+    },
+
+    /**
+     * Checks whether cached data should be refetched.
+     *
+     * @param {Array} queryKey - The query key
+     * @param {number} [staleTime] - Overrides the default stale time
+     * @returns {boolean} True if the entry is missing, invalidated or older than the stale time
+     */
+    isStale: (queryKey, staleTime = cacheDefaults.staleTime) => {
+      const entry = getLiveEntry(stableStringify(queryKey));
+      if (!entry || entry.isInvalidated) return true;
+      return Date.now() - entry.updatedAt >= staleTime;
+    },
+
+    /**
+     * Marks matching entries as stale and notifies subscribers so mounted hooks can refetch.
+     * Cached data is kept and keeps being served until it is replaced.
+     *
+     * @param {Array|Function} [filter] - Key prefix or predicate. Invalidates everything when omitted
+     * @returns {Array<Array>} The invalidated keys
+     */
+    invalidate: filter => {
+      const matches = createMatcher(filter);
+      const invalidatedKeys = [];
+
+      entries.forEach(entry => {
+        if (matches(entry.key)) {
+          entry.isInvalidated = true;
+          invalidatedKeys.push(entry.key);
+        }
+      });
+
+      listeners.forEach(listener => listener(invalidatedKeys, matches));
+      return invalidatedKeys;
+    },
+
+    /**
+     * Removes matching entries from the cache.
+     *
+     * @param {Array|Function} [filter] - Key prefix or predicate. Removes everything when omitted
+     */
+    remove: filter => {
+      const matches = createMatcher(filter);
+      Array.from(entries.entries()).forEach(([hash, entry]) => {
+        if (matches(entry.key)) entries.delete(hash);
+      });
+    },
+
+    /**
+     * Removes every entry from the cache.
+     */
+    clear: () => entries.clear(),
+
+    /**
+     * Subscribes to invalidations.
+     *
+     * @param {Function} listener - Called with `(invalidatedKeys, matches)` on every invalidation
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return queryCache;
+};
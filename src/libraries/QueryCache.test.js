@@ -0,0 +1,160 @@
+/**
+ * @file Tests for the QueryCache library
+ * @author Alan Chen
+ */
+
+import {createQueryCache, stableStringify} from './QueryCache';
+
+describe('stableStringify', () => {
+  it('should produce the same string regardless of key order', () => {
+    expect(stableStringify({b: 1, a: {d: 2, c: 3}})).toBe(stableStringify({a: {c: 3, d: 2}, b: 1}));
+  });
+
+  it('should ignore undefined values', () => {
+    expect(stableStringify({a: 1, b: undefined})).toBe(stableStringify({a: 1}));
+  });
+});
+
+describe('createQueryCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    cache = createQueryCache({staleTime: 1000, cacheTime: 5000});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('buildKey', () => {
+    it('should build a key from client, method, uri and params', () => {
+      expect(cache.buildKey({client: 'main', method: 'get', uri: 'users', params: {page: 1}})).toEqual(['main', 'GET', 'users', {page: 1}]);
+    });
+
+    it('should default the method to GET and params to null', () => {
+      expect(cache.buildKey({uri: 'users'})).toEqual(['', 'GET', 'users', null]);
+    });
+  });
+
+  describe('get and set', () => {
+    it('should return cached data for equal keys with different param order', () => {
+      cache.set(['main', 'GET', 'users', {page: 1, limit: 10}], ['alan']);
+
+      expect(cache.getData(['main', 'GET', 'users', {limit: 10, page: 1}])).toEqual(['alan']);
+    });
+
+    it('should evict entries after the cache time', () => {
+      const key = ['main', 'GET', 'users', null];
+      cache.set(key, ['alan']);
+
+      jest.advanceTimersByTime(5001);
+
+      expect(cache.get(key)).toBeUndefined();
+    });
+
+    it('should allow a per-entry cache time', () => {
+      const key = ['main', 'GET', 'users', null];
+      cache.set(key, ['alan'], {cacheTime: 100});
+
+      jest.advanceTimersByTime(101);
+
+      expect(cache.get(key)).toBeUndefined();
+    });
+
+    it('should evict expired entries that are never read again on the next write', () => {
+      cache.set(['main', 'GET', 'search', {q: 'a'}], ['alan']);
+      jest.advanceTimersByTime(5001);
+
+      cache.set(['main', 'GET', 'search', {q: 'al'}], ['alan']);
+
+      expect(cache.invalidate()).toEqual([['main', 'GET', 'search', {q: 'al'}]]);
+    });
+  });
+
+  describe('isStale', () => {
+    it('should treat missing entries as stale', () => {
+      expect(cache.isStale(['main', 'GET', 'users', null])).toBe(true);
+    });
+
+    it('should become stale after the stale time', () => {
+      const key = ['main', 'GET', 'users', null];
+      cache.set(key, ['alan']);
+
+      expect(cache.isStale(key)).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(cache.isStale(key)).toBe(true);
+      expect(cache.getData(key)).toEqual(['alan']);
+    });
+
+    it('should accept a stale time override', () => {
+      const key = ['main', 'GET', 'users', null];
+      cache.set(key, ['alan']);
+      jest.advanceTimersByTime(1500);
+
+      expect(cache.isStale(key, 2000)).toBe(false);
+    });
+  });
+
+  describe('invalidate', () => {
+    beforeEach(() => {
+      cache.set(['main', 'GET', 'users', {page: 1}], ['alan']);
+      cache.set(['main', 'GET', 'users', {page: 2}], ['sobae']);
+      cache.set(['main', 'GET', 'teams', null], ['gummi']);
+    });
+
+    it('should mark entries matching a key prefix as stale but keep their data', () => {
+      const invalidated = cache.invalidate(['main', 'GET', 'users']);
+
+      expect(invalidated).toHaveLength(2);
+      expect(cache.isStale(['main', 'GET', 'users', {page: 1}])).toBe(true);
+      expect(cache.getData(['main', 'GET', 'users', {page: 1}])).toEqual(['alan']);
+      expect(cache.isStale(['main', 'GET', 'teams', null])).toBe(false);
+    });
+
+    it('should accept a predicate', () => {
+      const invalidated = cache.invalidate(key => key[2] === 'teams');
+
+      expect(invalidated).toEqual([['main', 'GET', 'teams', null]]);
+    });
+
+    it('should notify subscribers with a matcher', () => {
+      const listener = jest.fn();
+      const unsubscribe = cache.subscribe(listener);
+
+      cache.invalidate(['main', 'GET', 'users']);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      const [invalidatedKeys, matches] = listener.mock.calls[0];
+      expect(invalidatedKeys).toHaveLength(2);
+      expect(matches(['main', 'GET', 'users', {page: 3}])).toBe(true);
+      expect(matches(['main', 'GET', 'teams', null])).toBe(false);
+
+      unsubscribe();
+      cache.invalidate();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('remove and clear', () => {
+    it('should remove entries matching a prefix', () => {
+      cache.set(['main', 'GET', 'users', null], ['alan']);
+      cache.set(['analytics', 'GET', 'events', null], ['open']);
+
+      cache.remove(['main']);
+
+      expect(cache.get(['main', 'GET', 'users', null])).toBeUndefined();
+      expect(cache.getData(['analytics', 'GET', 'events', null])).toEqual(['open']);
+    });
+
+    it('should clear every entry', () => {
+      cache.set(['main', 'GET', 'users', null], ['alan']);
+
+      cache.clear();
+
+      expect(cache.get(['main', 'GET', 'users', null])).toBeUndefined();
+    });
+  });
+});
@@ -1,16 +1,174 @@
-import { createApiClient } from '../libraries/ApiClient';
+import { createApiClient, composeMiddleware, createAbortError, ApiError } from '../libraries/ApiClient';
+import { createQueryCache } from '../libraries/QueryCache';
+import { createOfflineQueue } from '../libraries/OfflineQueue';
 
 /**
  * Creates and manages a singleton registry of ApiClient instances.
  * Provides centralized API client management with default client support and proxy methods.
  * 
+ * @param {Object} [options] - Manager options
+ * @param {Object} [options.cache] - Default `staleTime` and `cacheTime` for the query cache
+ * @param {Object} [options.environments] - Environment profiles by name, see `registerEnvironment`
+ * @param {string} [options.environment] - The environment that is active from the start
+ * @param {Function} [options.onHandlerError] - Called with `(error, event)` when an event handler throws, logs with `console.error` by default
  * @returns {Object} The manager instance with register, use, and proxy methods
  */
-const createApiManager = () => {
+const createApiManager = (options = {}) => {
   const registeredClients = new Map();
+  const registeredConfigs = new Map();
+  const queryCache = createQueryCache(options.cache);
+  const sharedMiddlewares = [];
+  const runSharedMiddleware = composeMiddleware(sharedMiddlewares);
+  const environments = new Map();
+  const appliedProfiles = new Map();
+  const eventListeners = new Map();
+  // Contexts of the requests the offline queue took over, to report them as queued instead of failed
+  const queuedRequests = new WeakSet();
   let defaultClientName = null;
+  let offlineQueue = null;
+  let currentEnvironment = null;
+  const onHandlerError = options.onHandlerError || ((error, event) => console.error(`An ApiManager '${event}' handler threw an error:`, error));
+
+  /**
+   * Calls the handlers of an event, see `on`.
+   * 
+   * @param {string} event - The event name
+   * @param {Object} payload - The event payload
+   */
+  const emit = (event, payload) => {
+    Array.from(eventListeners.get(event) || []).forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (handlerError) {
+        // A failing handler must not fail the request or switch it reports on, nor crash the app as an uncaught error would
+        try {
+          onHandlerError(handlerError, event);
+        } catch {
+          // Nothing is left to report the error to
+        }
+      }
+    });
+  };
+
+  /**
+   * Middleware that emits the request lifecycle events around the network call of a request.
+   * It runs after the shared middleware, so requests answered without a network call, such as ones queued while offline, emit nothing.
+   * Failures are handed to `reportFailure` instead of being emitted, as the shared middleware may still queue the request.
+   * 
+   * @param {Object} context - The middleware context, with the client name as `client`
+   * @param {Function} next - Sends the request
+   * @param {Function} reportFailure - Called with the payload of a failed request
+   * @returns {Promise<any>} The response data
+   */
+  const observeRequest = async (context, next, reportFailure) => {
+    const startedAt = Date.now();
+    const requestInfo = {
+      client: context.client,
+      requestId: context.requestId,
+      tag: context.tag,
+      method: context.method,
+      url: context.url,
+    };
+
+    context.onRetry?.(({ attempt, delay, error }) => {
+      emit('retry', { ...requestInfo, attempt, delay, status: error.status ?? null, error });
+    });
+    emit('request', requestInfo);
+
+    try {
+      const data = await next();
+      emit('response', { ...requestInfo, status: context.response?.status ?? null, durationMs: Date.now() - startedAt });
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        emit('abort', { ...requestInfo, durationMs: Date.now() - startedAt });
+      } else {
+        reportFailure({ ...requestInfo, status: error.status ?? null, durationMs: Date.now() - startedAt, error });
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Creates a client that runs the shared middleware with its name in the context, and emits its request events.
+   * 
+   * @param {string} name - The client name
+   * @param {Object} config - The configuration object for createApiClient
+   * @returns {Object} The ApiClient instance
+   */
+  const createNamedClient = (name, config) => {
+    const apiClient = createApiClient(config);
+    apiClient.use(async (context, next) => {
+      context.client = name;
+      let failure = null;
+      try {
+        return await runSharedMiddleware(context, () => observeRequest(context, next, (payload) => {
+          failure = payload;
+        }));
+      } finally {
+        if (failure) emit(queuedRequests.has(context) ? 'queued' : 'error', failure);
+      }
+    });
+
+    // Clients registered after an environment was set start out in that environment
+    const profile = currentEnvironment && environments.get(currentEnvironment)[name];
+    registeredConfigs.set(name, config);
+    appliedProfiles.delete(name);
+    if (profile) {
+      apiClient.configure(profile);
+      appliedProfiles.set(name, profile);
+    }
+    return apiClient;
+  };
+
+  /**
+   * Builds the `configure` call that moves a client from its applied environment profile to another one.
+   * Options and headers that only the applied profile sets go back to their registered values.
+   * 
+   * @param {string} name - The client name
+   * @param {Object} [nextProfile={}] - The client's configuration in the next environment
+   * @returns {Object} The partial configuration for `client.configure`
+   */
+  const buildProfileTransition = (name, nextProfile = {}) => {
+    const registeredConfig = registeredConfigs.get(name) || {};
+    const registeredHeaders = registeredConfig.headers || {};
+    const { headers: appliedHeaders = {}, ...appliedOptions } = appliedProfiles.get(name) || {};
+    const { headers: nextHeaders = {}, ...nextOptions } = nextProfile;
+
+    const transition = {};
+    Object.keys(appliedOptions).forEach((key) => {
+      transition[key] = registeredConfig[key];
+    });
+    Object.assign(transition, nextOptions);
+
+    const headers = {};
+    Object.keys(appliedHeaders).forEach((key) => {
+      const registeredName = Object.keys(registeredHeaders).find(headerName => headerName.toLowerCase() === key.toLowerCase());
+      headers[registeredName || key] = registeredName ? registeredHeaders[registeredName] : undefined;
+    });
+    Object.assign(headers, nextHeaders);
+    if (Object.keys(headers).length > 0) {
+      transition.headers = headers;
+    }
+    return transition;
+  };
+
+  /**
+   * Aborts the in-flight requests of a client and drops its cached data, as its responses no longer apply.
+   * 
+   * @param {string} name - The client name
+   */
+  const resetClient = (name) => {
+    registeredClients.get(name).abort();
+    queryCache.remove([name]);
+  };
 
   const apiManager = {
+    /**
+     * The query cache shared by every client of this manager.
+     */
+    cache: queryCache,
+
     /**
      * Registers a new, named ApiClient instance.
      * 
@@ -36,16 +194,164 @@ const createApiManager = () => {
         );
       }
 
-      const apiClient = createApiClient(config);
+      const apiClient = createNamedClient(name, config);
       registeredClients.set(name, apiClient);
 
       if (isDefault) {
         defaultClientName = name;
       }
 
+      emit('clientChange', { client: name });
+      return apiClient;
+    },
+
+    /**
+     * Replaces a registered client with a new one built from `config`, e.g. to switch it to another
+     * environment. The old client's in-flight requests are aborted and its cached data is dropped.
+     * A client that isn't registered yet is registered. The default client stays the default. Mounted hooks
+     * that use the client switch to the new one.
+     * 
+     * @param {string} name - The name of the client to replace
+     * @param {Object} config - The configuration object for createApiClient
+     * @returns {Object} The new ApiClient instance
+     */
+    replace: (name, config) => {
+      if (!registeredClients.has(name)) {
+        return apiManager.register(name, config);
+      }
+
+      const apiClient = createNamedClient(name, config);
+      resetClient(name);
+      registeredClients.set(name, apiClient);
+      emit('clientChange', { client: name });
       return apiClient;
     },
 
+    /**
+     * Removes a registered client, e.g. a tenant's client on logout. Its in-flight requests are
+     * aborted and its cached data is dropped. Removing the default client leaves no default. Mounted hooks
+     * that use the client keep their data, and their requests fail until a client with that name is registered again.
+     * 
+     * @param {string} name - The name of the client to remove
+     * @returns {boolean} True if the client was registered
+     */
+    unregister: (name) => {
+      if (!registeredClients.has(name)) return false;
+
+      resetClient(name);
+      registeredClients.delete(name);
+      registeredConfigs.delete(name);
+      appliedProfiles.delete(name);
+      if (defaultClientName === name) {
+        defaultClientName = null;
+      }
+      emit('clientChange', { client: name });
+      return true;
+    },
+
+    /**
+     * Makes a registered client the default client.
+     * 
+     * @param {string} name - The name of the client
+     * @throws {Error} If no client with that name has been registered
+     */
+    setDefault: (name) => {
+      if (!registeredClients.has(name)) {
+        throw new Error(`No API client named '${name}' has been registered`);
+      }
+      defaultClientName = name;
+      emit('clientChange', { client: name });
+    },
+
+    /**
+     * Defines an environment profile: the configuration each client uses in that environment, such as its
+     * `baseUrl`, `headers` and `timeout`. Each entry is applied over the client's registered configuration,
+     * and `headers` are merged into its headers. Redefining the active environment takes effect on the
+     * next `setEnvironment`.
+     * 
+     * @param {string} name - The environment name, e.g. 'staging'
+     * @param {Object} clientConfigs - Partial client configurations by client name
+     * @throws {Error} If a configuration contains `parsers` or `middleware`, which can't be reconfigured
+     */
+    registerEnvironment: (name, clientConfigs) => {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Environment name must be a non-empty string');
+      }
+
+      // Checked up front, so switching to the environment can't fail halfway
+      Object.entries(clientConfigs || {}).forEach(([clientName, config]) => {
+        if ('parsers' in config || 'middleware' in config) {
+          throw new Error(`The '${name}' environment cannot change the parsers or middleware of '${clientName}'`);
+        }
+      });
+      environments.set(name, { ...clientConfigs });
+    },
+
+    /**
+     * Switches every registered client to an environment profile in one step, so no request is sent with a
+     * mix of configurations. In-flight requests of the reconfigured clients are aborted and their cached data
+     * is dropped. Emits `environmentChange` with `{environment, previousEnvironment}`, which mounted
+     * `useApiBase` hooks answer by refetching.
+     * 
+     * @param {string} name - The name of a registered environment
+     * @throws {Error} If no environment with that name has been registered
+     */
+    setEnvironment: (name) => {
+      const clientConfigs = environments.get(name);
+      if (!clientConfigs) {
+        throw new Error(`No environment named '${name}' has been registered`);
+      }
+
+      const previousEnvironment = currentEnvironment;
+      registeredClients.forEach((apiClient, clientName) => {
+        const nextProfile = clientConfigs[clientName];
+        if (!nextProfile && !appliedProfiles.has(clientName)) return;
+
+        resetClient(clientName);
+        apiClient.configure(buildProfileTransition(clientName, nextProfile));
+        if (nextProfile) {
+          appliedProfiles.set(clientName, nextProfile);
+        } else {
+          appliedProfiles.delete(clientName);
+        }
+      });
+      currentEnvironment = name;
+      emit('environmentChange', { environment: name, previousEnvironment });
+    },
+
+    /**
+     * Gets the name of the active environment.
+     * 
+     * @returns {string|null} The environment name or null if none has been set
+     */
+    getEnvironment: () => currentEnvironment,
+
+    /**
+     * Subscribes to a manager event. Request events are emitted for every registered client and carry
+     * `client`, `requestId`, `tag`, `method` and `url`:
+     * - `request`: a request is sent
+     * - `response`: it succeeded, with `status` and `durationMs`
+     * - `error`: it failed, with `status` (null without a response), `durationMs` and `error`
+     * - `abort`: it was aborted, with `durationMs`
+     * - `queued`: it failed because the network was unreachable and the offline queue took it over, with `status`, `durationMs` and `error`
+     * - `retry`: a failed attempt is retried, with the next `attempt`, the `delay` before it, `status` and `error`
+     * - `environmentChange`: `{environment, previousEnvironment}` after `setEnvironment`
+     * - `clientChange`: `{client}` after a client is registered, replaced, unregistered or made the default.
+     *   Mounted hooks answer it by resolving their client again
+     * 
+     * @param {string} event - The event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Function that removes the handler
+     */
+    on: (event, handler) => {
+      if (typeof handler !== 'function') {
+        throw new Error('Event handler must be a function');
+      }
+      if (!eventListeners.has(event)) eventListeners.set(event, new Set());
+      eventListeners.get(event).add(handler);
+      return () => eventListeners.get(event).delete(handler);
+    },
+
     /**
      * Retrieves a registered ApiClient instance by name.
      * 
@@ -71,6 +377,104 @@ const createApiManager = () => {
       return apiClient;
     },
 
+    /**
+     * Adds a middleware to every registered client, including clients registered later.
+     * It runs after each client's interceptors and config middleware, see `client.use`.
+     * The context also has the name of the client as `client`.
+     * 
+     * @param {Function} middleware - `async (context, next) => data`
+     * @returns {Function} Function that removes the middleware from every client
+     */
+    useMiddleware: (middleware) => {
+      if (typeof middleware !== 'function') {
+        throw new Error('Middleware must be a function');
+      }
+      sharedMiddlewares.push(middleware);
+      return () => {
+        const index = sharedMiddlewares.indexOf(middleware);
+        if (index !== -1) sharedMiddlewares.splice(index, 1);
+      };
+    },
+
+    /**
+     * Queues mutations made while the device is offline and replays them in order once it is back online.
+     * Queued requests resolve with `{queued: true, id}`. Requests that fail because the network is
+     * unreachable are queued as well. Pass `offline: false` in the request options to opt out.
+     * 
+     * @param {Object} [queueOptions] - Options for createOfflineQueue, except `send`
+     * @param {Object} [queueOptions.storage] - AsyncStorage-compatible adapter, in-memory by default
+     * @param {Object} [queueOptions.connectivity] - Source with `isConnected()` and `subscribe(listener)`
+     * @param {Array<string>} [queueOptions.methods] - HTTP methods that are queued
+     * @returns {Object} The offline queue
+     * @throws {Error} If the offline queue is already enabled
+     */
+    enableOfflineQueue: (queueOptions = {}) => {
+      if (offlineQueue) {
+        throw new Error('The offline queue is already enabled');
+      }
+
+      const queue = createOfflineQueue({
+        ...queueOptions,
+        send: async (entry) => {
+          // An entry whose client was unregistered can never be sent, so it is rejected instead of blocking the queue
+          if (entry.client && !registeredClients.has(entry.client)) {
+            throw new ApiError(`No API client named '${entry.client}' has been registered`, null, null);
+          }
+          const response = await apiManager.use(entry.client).request(entry.uri, {
+            method: entry.method,
+            body: entry.body === undefined ? undefined : JSON.parse(entry.body),
+            headers: entry.headers,
+            offline: false,
+            fullResponse: true,
+          });
+          // Aborted requests resolve to null, e.g. after `abort()` or `setEnvironment`, and are kept for the next replay
+          if (response === null) throw createAbortError();
+        },
+      });
+      offlineQueue = queue;
+
+      apiManager.useMiddleware(async (context, next) => {
+        // FormData bodies can't be persisted
+        const { body } = context.request;
+        const isQueueable = context.options.offline !== false
+          && queue.shouldQueue(context.method)
+          && (body === undefined || typeof body === 'string');
+        if (!isQueueable) return next();
+
+        const queueRequest = async () => {
+          const entry = await queue.enqueue({
+            client: context.client,
+            uri: context.uri,
+            method: context.method,
+            body,
+            headers: context.options.headers,
+          });
+          queuedRequests.add(context);
+          return { queued: true, id: entry.id };
+        };
+
+        if (!(await queue.isOnline())) return queueRequest();
+
+        try {
+          return await next();
+        } catch (error) {
+          // Only requests that never reached the server are queued, see `isNetworkError` in ApiClient
+          if (error.isNetworkError) return queueRequest();
+          throw error;
+        }
+      });
+
+      queue.start();
+      return queue;
+    },
+
+    /**
+     * Gets the offline queue, if it has been enabled.
+     * 
+     * @returns {Object|null} The offline queue or null
+     */
+    getOfflineQueue: () => offlineQueue,
+
     /**
      * Checks if a client with the given name has been registered.
      * 
@@ -94,11 +498,93 @@ const createApiManager = () => {
      * @returns {string[]} Array of registered client names
      */
     getRegisteredClientNames: () => Array.from(registeredClients.keys()),
+
+    /**
+     * Finds the name under which a client instance was registered.
+     * 
+     * @param {Object} apiClient - The ApiClient instance
+     * @returns {string|null} The client name or null if the instance isn't registered
+     */
+    getClientName: (apiClient) => {
+      const entry = Array.from(registeredClients.entries()).find(([, client]) => client === apiClient);
+      return entry ? entry[0] : null;
+    },
+
+    /**
+     * Builds the query cache key for a request.
+     * 
+     * @param {Object} keyParts - The request identity
+     * @param {string} [keyParts.client] - The client name. Defaults to the default client
+     * @param {string} [keyParts.method='GET'] - The HTTP method
+     * @param {string} keyParts.uri - The request URI
+     * @param {Object} [keyParts.params] - The request params or body
+     * @returns {Array} The query key
+     */
+    getQueryKey: ({ client, ...keyParts }) => queryCache.buildKey({ client: client || defaultClientName, ...keyParts }),
+
+    /**
+     * Fetches data through a registered client, serving it from the query cache while it is fresh.
+     * 
+     * @param {string} uri - The URI to request
+     * @param {Object} [options={}] - Request options, passed to `client.request`
+     * @param {string} [options.client] - The client name. Defaults to the default client
+     * @param {string} [options.method='GET'] - The HTTP method
+     * @param {Object} [options.params] - Query parameters
+     * @param {any} [options.body] - Request body
+     * @param {number} [options.staleTime] - Time in milliseconds before cached data is refetched
+     * @param {number} [options.cacheTime] - Time in milliseconds cached data is kept
+     * @returns {Promise<any>} The cached or freshly fetched data
+     */
+    query: async (uri, options = {}) => {
+      const { client: clientName, method = 'GET', staleTime, cacheTime, ...requestOptions } = options;
+      const apiClient = apiManager.use(clientName); // Throws if the client doesn't exist
+      const queryKey = apiManager.getQueryKey({
+        client: clientName,
+        method,
+        uri,
+        params: requestOptions.params ?? requestOptions.body,
+      });
+
+      if (!queryCache.isStale(queryKey, staleTime)) {
+        return queryCache.getData(queryKey);
+      }
+
+      // The cache stores response bodies only, so full response mode is never used here
+      const data = await apiClient.request(uri, { ...requestOptions, method, fullResponse: false });
+      if (data !== null) {
+        queryCache.set(queryKey, data, { cacheTime });
+      }
+      return data;
+    },
+
+    /**
+     * Reads data from the query cache.
+     * 
+     * @param {Array} queryKey - The query key, see getQueryKey
+     * @returns {any} The cached data, or undefined
+     */
+    getQueryData: (queryKey) => queryCache.getData(queryKey),
+
+    /**
+     * Writes data to the query cache.
+     * 
+     * @param {Array} queryKey - The query key, see getQueryKey
+     * @param {any} data - The data to cache
+     */
+    setQueryData: (queryKey, data) => queryCache.set(queryKey, data),
+
+    /**
+     * Marks cached queries as stale. Mounted hooks using a matching key refetch in the background.
+     * 
+     * @param {Array|Function} [filter] - Key prefix such as `['main', 'GET', 'users']`, or a predicate
+     * @returns {Array<Array>} The invalidated keys
+     */
+    invalidateQueries: (filter) => queryCache.invalidate(filter),
   };
 
   // Dynamically create proxy methods by inspecting a template client
   const templateClient = createApiClient({ baseUrl: '' });
-  const clientMethods = ['request', 'get', 'post', 'put', 'del', 'upload', 'all', 'abort', 'setHeader', 'unsetHeader', 'clearHeaders'];
+  const clientMethods = ['request', 'get', 'post', 'put', 'patch', 'del', 'head', 'options', 'upload', 'all', 'abort', 'abortRequest', 'abortByTag', 'registerParser', 'setHeader', 'unsetHeader', 'clearHeaders', 'configure'];
 
   clientMethods.forEach(methodName => {
     if (typeof templateClient[methodName] === 'function') {
@@ -113,6 +599,11 @@ const createApiManager = () => {
     }
   });
 
+  Object.entries(options.environments || {}).forEach(([name, clientConfigs]) => apiManager.registerEnvironment(name, clientConfigs));
+  if (options.environment) {
+    apiManager.setEnvironment(options.environment);
+  }
+
   return apiManager;
 };
 
@@ -123,6 +614,6 @@ const createApiManager = () => {
 export const manager = createApiManager();
 
 /**
- * Export the factory function for testing purposes.
+ * Export the factory function for isolated managers, see `ApiManagerProvider`.
  */
 export { createApiManager };
@@ -5,27 +5,39 @@
 
 // Mock the ApiClient library FIRST, before any imports
 jest.mock('../libraries/ApiClient', () => ({
+  ...jest.requireActual('../libraries/ApiClient'),
   createApiClient: jest.fn(() => ({
     get: jest.fn(),
     post: jest.fn(),
     put: jest.fn(),
+    patch: jest.fn(),
     del: jest.fn(),
+    head: jest.fn(),
+    options: jest.fn(),
     upload: jest.fn(),
     all: jest.fn(),
     request: jest.fn(),
     abort: jest.fn(),
+    abortRequest: jest.fn(),
+    abortByTag: jest.fn(),
     setHeader: jest.fn(),
     unsetHeader: jest.fn(),
     clearHeaders: jest.fn(),
-  }))
+    use: jest.fn(),
+    configure: jest.fn(),
+  })),
 }));
 
 // Import after mocking
 import { createApiClient } from '../libraries/ApiClient';
+import { createManualConnectivity } from '../libraries/OfflineQueue';
 
 // Import the createApiManager function to create fresh instances
 const { createApiManager } = require('./ApiManager');
 
+// Like the client, marks a fetch failure as a network error
+const createNetworkError = () => Object.assign(new TypeError('Network request failed'), { isNetworkError: true });
+
 describe('ApiManager', () => {
   let mockApiClient;
   let manager;
@@ -38,14 +50,21 @@ describe('ApiManager', () => {
       get: jest.fn(),
       post: jest.fn(),
       put: jest.fn(),
+      patch: jest.fn(),
       del: jest.fn(),
+      head: jest.fn(),
+      options: jest.fn(),
       upload: jest.fn(),
       all: jest.fn(),
       request: jest.fn(),
       abort: jest.fn(),
+      abortRequest: jest.fn(),
+      abortByTag: jest.fn(),
       setHeader: jest.fn(),
       unsetHeader: jest.fn(),
       clearHeaders: jest.fn(),
+      use: jest.fn(),
+      configure: jest.fn(),
     };
     
     // Configure the mock to return our mock client
@@ -190,6 +209,211 @@ describe('ApiManager', () => {
     });
   });
 
+  describe('unregister', () => {
+    it('should remove the client, abort its requests and drop its cached data', () => {
+      manager.register('tenant', { baseUrl: 'https://tenant.example.com' });
+      manager.cache.set(['tenant', 'GET', 'orders', null], ['order']);
+      manager.cache.set(['main', 'GET', 'orders', null], ['order']);
+
+      expect(manager.unregister('tenant')).toBe(true);
+
+      expect(manager.isRegistered('tenant')).toBe(false);
+      expect(mockApiClient.abort).toHaveBeenCalledTimes(1);
+      expect(manager.cache.get(['tenant', 'GET', 'orders', null])).toBeUndefined();
+      expect(manager.cache.get(['main', 'GET', 'orders', null])).toBeDefined();
+    });
+
+    it('should clear the default when the default client is removed', () => {
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+
+      manager.unregister('main');
+
+      expect(manager.getDefaultClientName()).toBeNull();
+      expect(() => manager.register('other', { baseUrl: 'https://other.example.com' }, true)).not.toThrow();
+    });
+
+    it('should return false for a client that is not registered', () => {
+      expect(manager.unregister('unknown')).toBe(false);
+    });
+
+    it('should emit clientChange', () => {
+      const onChange = jest.fn();
+      manager.register('tenant', { baseUrl: 'https://tenant.example.com' });
+      manager.on('clientChange', onChange);
+
+      manager.unregister('tenant');
+      manager.unregister('tenant');
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith({ client: 'tenant' });
+    });
+  });
+
+  describe('setDefault', () => {
+    it('should make a registered client the default', () => {
+      const analyticsClient = { ...mockApiClient, get: jest.fn() };
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+      createApiClient.mockReturnValueOnce(analyticsClient);
+      manager.register('analytics', { baseUrl: 'https://analytics.example.com' });
+
+      manager.setDefault('analytics');
+      manager.get('events');
+
+      expect(manager.getDefaultClientName()).toBe('analytics');
+      expect(manager.use()).toBe(analyticsClient);
+      expect(analyticsClient.get).toHaveBeenCalledWith('events');
+    });
+
+    it('should throw for a client that is not registered', () => {
+      expect(() => manager.setDefault('unknown')).toThrow('No API client named \'unknown\' has been registered');
+    });
+  });
+
+  describe('replace', () => {
+    it('should swap in a new client, aborting the old one and dropping its cached data', () => {
+      const newClient = { ...mockApiClient, abort: jest.fn() };
+      manager.register('main', { baseUrl: 'https://staging.example.com' }, true);
+      manager.cache.set(['main', 'GET', 'users', null], ['staging user']);
+      createApiClient.mockReturnValueOnce(newClient);
+
+      const client = manager.replace('main', { baseUrl: 'https://api.example.com' });
+
+      expect(client).toBe(newClient);
+      expect(createApiClient).toHaveBeenLastCalledWith({ baseUrl: 'https://api.example.com' });
+      expect(manager.use('main')).toBe(newClient);
+      expect(manager.getDefaultClientName()).toBe('main');
+      expect(mockApiClient.abort).toHaveBeenCalledTimes(1);
+      expect(newClient.abort).not.toHaveBeenCalled();
+      expect(manager.cache.get(['main', 'GET', 'users', null])).toBeUndefined();
+    });
+
+    it('should register a client that is not registered yet', () => {
+      manager.replace('main', { baseUrl: 'https://api.example.com' });
+
+      expect(manager.isRegistered('main')).toBe(true);
+      expect(manager.getDefaultClientName()).toBeNull();
+    });
+
+    it('should run the shared middleware for the new client', () => {
+      manager.register('main', { baseUrl: 'https://staging.example.com' });
+      manager.replace('main', { baseUrl: 'https://api.example.com' });
+
+      expect(mockApiClient.use).toHaveBeenCalledTimes(2);
+    });
+
+    it('should emit clientChange after the new client is in place', () => {
+      const newClient = { ...mockApiClient };
+      manager.register('main', { baseUrl: 'https://staging.example.com' });
+      createApiClient.mockReturnValueOnce(newClient);
+      const onChange = jest.fn(() => expect(manager.use('main')).toBe(newClient));
+      manager.on('clientChange', onChange);
+
+      manager.replace('main', { baseUrl: 'https://api.example.com' });
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith({ client: 'main' });
+    });
+  });
+
+  describe('Environments', () => {
+    const profiles = {
+      staging: {
+        main: { baseUrl: 'https://staging.example.com', headers: { 'X-Debug': 'true' }, timeout: 30000 },
+      },
+      production: {
+        main: { baseUrl: 'https://api.example.com' },
+      },
+    };
+
+    beforeEach(() => {
+      Object.entries(profiles).forEach(([name, clientConfigs]) => manager.registerEnvironment(name, clientConfigs));
+    });
+
+    it('should configure every registered client with its profile and emit environmentChange', () => {
+      const onChange = jest.fn();
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+      manager.on('environmentChange', onChange);
+
+      manager.setEnvironment('staging');
+
+      expect(mockApiClient.configure).toHaveBeenCalledWith(profiles.staging.main);
+      expect(manager.getEnvironment()).toBe('staging');
+      expect(onChange).toHaveBeenCalledWith({ environment: 'staging', previousEnvironment: null });
+    });
+
+    it('should restore options and headers that only the previous profile set', () => {
+      manager.register('main', { baseUrl: 'https://api.example.com', headers: { 'X-Debug': 'false' } });
+      manager.setEnvironment('staging');
+
+      manager.setEnvironment('production');
+
+      expect(mockApiClient.configure).toHaveBeenLastCalledWith({
+        baseUrl: 'https://api.example.com',
+        timeout: undefined,
+        headers: { 'X-Debug': 'false' },
+      });
+    });
+
+    it('should abort in-flight requests and drop cached data of reconfigured clients only', () => {
+      const analyticsClient = { ...mockApiClient, abort: jest.fn() };
+      manager.register('main', { baseUrl: 'https://api.example.com' });
+      createApiClient.mockReturnValueOnce(analyticsClient);
+      manager.register('analytics', { baseUrl: 'https://analytics.example.com' });
+      manager.cache.set(['main', 'GET', 'users', null], ['user']);
+      manager.cache.set(['analytics', 'GET', 'events', null], ['event']);
+
+      manager.setEnvironment('staging');
+
+      expect(mockApiClient.abort).toHaveBeenCalledTimes(1);
+      expect(analyticsClient.abort).not.toHaveBeenCalled();
+      expect(manager.cache.get(['main', 'GET', 'users', null])).toBeUndefined();
+      expect(manager.cache.get(['analytics', 'GET', 'events', null])).toBeDefined();
+    });
+
+    it('should configure clients registered later for the active environment', () => {
+      manager.setEnvironment('staging');
+
+      manager.register('main', { baseUrl: 'https://api.example.com' });
+
+      expect(mockApiClient.configure).toHaveBeenCalledWith(profiles.staging.main);
+    });
+
+    it('should throw for an environment that is not registered and keep the current one', () => {
+      const onChange = jest.fn();
+      manager.setEnvironment('staging');
+      manager.on('environmentChange', onChange);
+
+      expect(() => manager.setEnvironment('qa')).toThrow('No environment named \'qa\' has been registered');
+      expect(manager.getEnvironment()).toBe('staging');
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should reject profiles that change parsers or middleware', () => {
+      expect(() => manager.registerEnvironment('broken', { main: { middleware: [] } })).toThrow(
+        'The \'broken\' environment cannot change the parsers or middleware of \'main\''
+      );
+    });
+
+    it('should accept environments when the manager is created', () => {
+      const configuredManager = createApiManager({ environments: profiles, environment: 'production' });
+
+      configuredManager.register('main', { baseUrl: 'https://localhost' });
+
+      expect(configuredManager.getEnvironment()).toBe('production');
+      expect(mockApiClient.configure).toHaveBeenCalledWith(profiles.production.main);
+    });
+
+    it('should stop calling a handler after it is removed', () => {
+      const onChange = jest.fn();
+      const removeHandler = manager.on('environmentChange', onChange);
+
+      removeHandler();
+      manager.setEnvironment('staging');
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Proxy Methods', () => {
     beforeEach(() => {
       const config = { baseUrl: 'https://api.example.com' };
@@ -225,6 +449,20 @@ describe('ApiManager', () => {
       expect(result).toEqual({ updated: true });
     });
 
+    it('should proxy patch, head and options methods to default client', async () => {
+      mockApiClient.patch.mockResolvedValue({ patched: true });
+      mockApiClient.head.mockResolvedValue({ status: 200 });
+      mockApiClient.options.mockResolvedValue({ allow: 'GET' });
+      
+      expect(await manager.patch('/users/1', { name: 'Jane' })).toEqual({ patched: true });
+      expect(await manager.head('/users/1')).toEqual({ status: 200 });
+      expect(await manager.options('/users')).toEqual({ allow: 'GET' });
+      
+      expect(mockApiClient.patch).toHaveBeenCalledWith('/users/1', { name: 'Jane' });
+      expect(mockApiClient.head).toHaveBeenCalledWith('/users/1');
+      expect(mockApiClient.options).toHaveBeenCalledWith('/users');
+    });
+
     it('should proxy del method to default client', async () => {
       mockApiClient.del.mockResolvedValue({ deleted: true });
       
@@ -273,6 +511,14 @@ describe('ApiManager', () => {
       expect(mockApiClient.abort).toHaveBeenCalledTimes(1);
     });
 
+    it('should proxy abortRequest and abortByTag to default client', () => {
+      manager.abortRequest('request-1');
+      manager.abortByTag('feed');
+      
+      expect(mockApiClient.abortRequest).toHaveBeenCalledWith('request-1');
+      expect(mockApiClient.abortByTag).toHaveBeenCalledWith('feed');
+    });
+
     it('should proxy setHeader method to default client', () => {
       manager.setHeader('Authorization', 'Bearer token123');
       
@@ -301,6 +547,370 @@ describe('ApiManager', () => {
     });
   });
 
+  describe('Query Cache', () => {
+    beforeEach(() => {
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+    });
+
+    it('should expose a query cache', () => {
+      expect(typeof manager.cache.get).toBe('function');
+      expect(typeof manager.cache.invalidate).toBe('function');
+    });
+
+    it('should build query keys with the default client name', () => {
+      expect(manager.getQueryKey({ uri: 'users', params: { page: 1 } }))
+        .toEqual(['main', 'GET', 'users', { page: 1 }]);
+    });
+
+    it('should resolve the registered name of a client instance', () => {
+      expect(manager.getClientName(mockApiClient)).toBe('main');
+      expect(manager.getClientName({})).toBeNull();
+    });
+
+    it('should fetch through the client and serve fresh data from the cache', async () => {
+      mockApiClient.request.mockResolvedValue([{ id: 1 }]);
+
+      const first = await manager.query('users', { params: { page: 1 }, staleTime: 60000 });
+      const second = await manager.query('users', { params: { page: 1 }, staleTime: 60000 });
+
+      expect(first).toEqual([{ id: 1 }]);
+      expect(second).toBe(first);
+      expect(mockApiClient.request).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.request).toHaveBeenCalledWith('users', { params: { page: 1 }, method: 'GET', fullResponse: false });
+    });
+
+    it('should refetch stale data', async () => {
+      mockApiClient.request.mockResolvedValue([{ id: 1 }]);
+
+      await manager.query('users');
+      await manager.query('users');
+
+      expect(mockApiClient.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refetch after invalidation by key prefix', async () => {
+      mockApiClient.request.mockResolvedValue([{ id: 1 }]);
+
+      await manager.query('users', { params: { page: 1 }, staleTime: 60000 });
+      manager.invalidateQueries(['main', 'GET', 'users']);
+      await manager.query('users', { params: { page: 1 }, staleTime: 60000 });
+
+      expect(mockApiClient.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should read and write query data directly', () => {
+      const queryKey = manager.getQueryKey({ uri: 'users' });
+      manager.setQueryData(queryKey, ['cached']);
+
+      expect(manager.getQueryData(queryKey)).toEqual(['cached']);
+    });
+
+    it('should not cache aborted requests', async () => {
+      mockApiClient.request.mockResolvedValue(null);
+
+      await manager.query('users', { staleTime: 60000 });
+
+      expect(manager.getQueryData(manager.getQueryKey({ uri: 'users' }))).toBeUndefined();
+    });
+  });
+
+  describe('Middleware', () => {
+    const runClientMiddleware = (context) => {
+      const [clientMiddleware] = mockApiClient.use.mock.calls[0];
+      return clientMiddleware(context, () => 'response');
+    };
+
+    it('should run shared middleware on every registered client', async () => {
+      const middleware = jest.fn((context, next) => next());
+      manager.useMiddleware(middleware);
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+
+      await expect(runClientMiddleware({ uri: 'users' })).resolves.toBe('response');
+      expect(middleware).toHaveBeenCalledWith({ uri: 'users', client: 'main' }, expect.any(Function));
+    });
+
+    it('should apply middleware added after the client was registered', async () => {
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+      manager.useMiddleware(async () => 'short-circuited');
+
+      await expect(runClientMiddleware({})).resolves.toBe('short-circuited');
+    });
+
+    it('should stop running removed middleware', async () => {
+      const middleware = jest.fn(() => 'short-circuited');
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+      const removeMiddleware = manager.useMiddleware(middleware);
+
+      removeMiddleware();
+
+      await expect(runClientMiddleware({})).resolves.toBe('response');
+      expect(middleware).not.toHaveBeenCalled();
+    });
+
+    it('should reject middleware that is not a function', () => {
+      expect(() => manager.useMiddleware({})).toThrow('Middleware must be a function');
+    });
+  });
+
+  describe('Request Events', () => {
+    const runClientMiddleware = (context, next) => {
+      const [clientMiddleware] = mockApiClient.use.mock.calls[0];
+      return clientMiddleware(context, next);
+    };
+
+    const createContext = () => {
+      const retryHandlers = [];
+      return {
+        uri: 'users',
+        method: 'GET',
+        url: 'https://api.example.com/users',
+        requestId: 'request-1',
+        tag: 'users',
+        response: null,
+        onRetry: handler => retryHandlers.push(handler),
+        retry: details => retryHandlers.forEach(handler => handler(details)),
+      };
+    };
+
+    const requestInfo = {
+      client: 'main',
+      requestId: 'request-1',
+      tag: 'users',
+      method: 'GET',
+      url: 'https://api.example.com/users',
+    };
+
+    beforeEach(() => {
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+    });
+
+    it('should emit request and response events with the status and duration', async () => {
+      const onRequest = jest.fn();
+      const onResponse = jest.fn();
+      manager.on('request', onRequest);
+      manager.on('response', onResponse);
+      const context = createContext();
+
+      await expect(runClientMiddleware(context, async () => {
+        context.response = { status: 200 };
+        return 'response';
+      })).resolves.toBe('response');
+
+      expect(onRequest).toHaveBeenCalledWith(requestInfo);
+      expect(onResponse).toHaveBeenCalledWith({ ...requestInfo, status: 200, durationMs: expect.any(Number) });
+    });
+
+    it('should emit an error event when the request fails', async () => {
+      const onError = jest.fn();
+      manager.on('error', onError);
+      const error = Object.assign(new Error('Not found'), { status: 404 });
+
+      await expect(runClientMiddleware(createContext(), async () => {
+        throw error;
+      })).rejects.toBe(error);
+
+      expect(onError).toHaveBeenCalledWith({ ...requestInfo, status: 404, durationMs: expect.any(Number), error });
+    });
+
+    it('should emit an abort event instead of an error event for aborted requests', async () => {
+      const onAbort = jest.fn();
+      const onError = jest.fn();
+      manager.on('abort', onAbort);
+      manager.on('error', onError);
+      const error = Object.assign(new Error('Aborted'), { name: 'AbortError' });
+
+      await expect(runClientMiddleware(createContext(), async () => {
+        throw error;
+      })).rejects.toBe(error);
+
+      expect(onAbort).toHaveBeenCalledWith({ ...requestInfo, durationMs: expect.any(Number) });
+      expect(onError).not.toHaveBeenCalled();
+    });
+
+    it('should emit a retry event before each retried attempt', async () => {
+      const onRetry = jest.fn();
+      manager.on('retry', onRetry);
+      const context = createContext();
+      const error = Object.assign(new Error('Unavailable'), { status: 503 });
+
+      await runClientMiddleware(context, async () => {
+        context.retry({ attempt: 2, delay: 300, error });
+        return 'response';
+      });
+
+      expect(onRetry).toHaveBeenCalledWith({ ...requestInfo, attempt: 2, delay: 300, status: 503, error });
+    });
+
+    it('should not emit events for requests answered by shared middleware', async () => {
+      const onRequest = jest.fn();
+      manager.on('request', onRequest);
+      manager.useMiddleware(async () => 'queued');
+
+      await expect(runClientMiddleware(createContext(), async () => 'response')).resolves.toBe('queued');
+      expect(onRequest).not.toHaveBeenCalled();
+    });
+
+    it('should emit a queued event instead of an error event when the offline queue takes over a failed request', async () => {
+      const events = [];
+      ['request', 'response', 'error', 'queued'].forEach(event => manager.on(event, () => events.push(event)));
+      manager.enableOfflineQueue({ connectivity: createManualConnectivity(true) });
+      const context = { ...createContext(), method: 'POST', options: {}, request: { body: '{"done":true}' } };
+
+      const result = await runClientMiddleware(context, async () => {
+        throw createNetworkError();
+      });
+
+      expect(result).toEqual({ queued: true, id: expect.any(String) });
+      expect(events).toEqual(['request', 'queued']);
+    });
+
+    it('should stop calling a handler once it is removed', async () => {
+      const onRequest = jest.fn();
+      const removeListener = manager.on('request', onRequest);
+
+      removeListener();
+      await runClientMiddleware(createContext(), async () => 'response');
+
+      expect(onRequest).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the request when a handler throws', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onResponse = jest.fn();
+      const handlerError = new Error('Handler failed');
+      manager.on('request', () => {
+        throw handlerError;
+      });
+      manager.on('response', onResponse);
+
+      await expect(runClientMiddleware(createContext(), async () => 'response')).resolves.toBe('response');
+      expect(onResponse).toHaveBeenCalled();
+      expect(consoleError).toHaveBeenCalledWith("An ApiManager 'request' handler threw an error:", handlerError);
+      consoleError.mockRestore();
+    });
+
+    it('should report handler errors to onHandlerError instead of throwing them', async () => {
+      jest.useFakeTimers();
+      const onHandlerError = jest.fn(() => {
+        throw new Error('Reporter failed');
+      });
+      const handlerError = new Error('Handler failed');
+      const reportingManager = createApiManager({ onHandlerError });
+      reportingManager.register('main', { baseUrl: 'https://api.example.com' }, true);
+      reportingManager.on('response', () => {
+        throw handlerError;
+      });
+      const [clientMiddleware] = mockApiClient.use.mock.calls[mockApiClient.use.mock.calls.length - 1];
+
+      await expect(clientMiddleware(createContext(), async () => 'response')).resolves.toBe('response');
+      expect(onHandlerError).toHaveBeenCalledWith(handlerError, 'response');
+      expect(() => jest.runAllTimers()).not.toThrow();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('Offline Queue', () => {
+    let connectivity;
+    let queue;
+
+    // Runs the client middleware chain for a request, with `fetchResponse` as the network call
+    const runRequest = (context, fetchResponse = () => Promise.resolve({ id: 1 })) => {
+      const [clientMiddleware] = mockApiClient.use.mock.calls[0];
+      return clientMiddleware({ options: {}, request: {}, ...context }, fetchResponse);
+    };
+
+    beforeEach(async () => {
+      connectivity = createManualConnectivity(false);
+      manager.register('main', { baseUrl: 'https://api.example.com' }, true);
+      queue = manager.enableOfflineQueue({ connectivity });
+      await queue.ready;
+    });
+
+    it('should expose the enabled queue', () => {
+      expect(manager.getOfflineQueue()).toBe(queue);
+      expect(() => manager.enableOfflineQueue()).toThrow('The offline queue is already enabled');
+    });
+
+    it('should queue mutations while offline', async () => {
+      const fetchResponse = jest.fn();
+
+      const result = await runRequest({ uri: 'jobs', method: 'POST', request: { body: '{"done":true}' } }, fetchResponse);
+
+      expect(result).toEqual({ queued: true, id: expect.any(String) });
+      expect(fetchResponse).not.toHaveBeenCalled();
+      expect(queue.getState().pending).toEqual([
+        expect.objectContaining({ client: 'main', uri: 'jobs', method: 'POST', body: '{"done":true}' }),
+      ]);
+    });
+
+    it('should send reads and opted-out mutations while offline', async () => {
+      await expect(runRequest({ uri: 'jobs', method: 'GET' })).resolves.toEqual({ id: 1 });
+      await expect(runRequest({ uri: 'jobs', method: 'POST', options: { offline: false } })).resolves.toEqual({ id: 1 });
+      expect(queue.getState().pending).toEqual([]);
+    });
+
+    it('should queue mutations that fail because the network is unreachable', async () => {
+      connectivity.setConnected(true);
+
+      const result = await runRequest({ uri: 'jobs', method: 'PUT' }, () => Promise.reject(createNetworkError()));
+
+      expect(result.queued).toBe(true);
+      expect(queue.getState().pending).toHaveLength(1);
+    });
+
+    it('should not queue mutations that fail after the server responded', async () => {
+      connectivity.setConnected(true);
+      const parseError = new TypeError('Cannot read body');
+
+      await expect(runRequest({ uri: 'jobs', method: 'PUT' }, () => Promise.reject(parseError))).rejects.toBe(parseError);
+      expect(queue.getState().pending).toEqual([]);
+    });
+
+    it('should replay queued requests through the client when back online', async () => {
+      mockApiClient.request.mockResolvedValue({ ok: true });
+      await runRequest({ uri: 'jobs', method: 'POST', request: { body: '{"done":true}' }, options: { headers: { 'X-Job': '1' } } });
+
+      connectivity.setConnected(true);
+      await queue.replay();
+
+      expect(mockApiClient.request).toHaveBeenCalledWith('jobs', {
+        method: 'POST',
+        body: { done: true },
+        headers: { 'X-Job': '1' },
+        offline: false,
+        fullResponse: true,
+      });
+      expect(queue.getState().pending).toEqual([]);
+    });
+
+    it('should drop queued requests of an unregistered client and replay the ones behind them', async () => {
+      manager.register('tenant', { baseUrl: 'https://tenant.example.com' });
+      const [tenantMiddleware] = mockApiClient.use.mock.calls[1];
+      await tenantMiddleware({ uri: 'notes', method: 'POST', options: {}, request: {} }, () => Promise.resolve({ id: 1 }));
+      await runRequest({ uri: 'jobs', method: 'POST', options: {}, request: {} });
+      manager.unregister('tenant');
+      mockApiClient.request.mockResolvedValue({ data: { ok: true } });
+
+      connectivity.setConnected(true);
+      await queue.replay();
+
+      expect(mockApiClient.request).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.request).toHaveBeenCalledWith('jobs', expect.objectContaining({ method: 'POST' }));
+      expect(queue.getState().pending).toEqual([]);
+    });
+
+    it('should keep queued requests that are aborted during the replay', async () => {
+      await runRequest({ uri: 'jobs', method: 'POST', request: { body: '{"done":true}' }, options: {} });
+      mockApiClient.request.mockResolvedValue(null);
+
+      connectivity.setConnected(true);
+      await queue.replay();
+
+      expect(queue.getState().pending).toHaveLength(1);
+      expect(queue.getState().lastError).toMatchObject({ name: 'AbortError' });
+    });
+  });
+
   describe('Multiple Clients', () => {
     it('should manage multiple clients independently', () => {
       const mainConfig = { baseUrl: 'https://api.example.com' };